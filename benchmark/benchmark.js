@@ -0,0 +1,136 @@
+const {Readable, Writable} = require('stream');
+const {DataTransform} = require('../index');
+const BaselineDataTransform = require('./baseline/dataTransform');
+
+/**
+ * Benchmark of the DataTransform against the BaselineDataTransform, which
+ * is a frozen copy of the DataTransform before matching used the Matcher.
+ * It must not be changed, so that it stays a fair baseline.
+ * Runs a minifier-style set of modifiers over a few megabytes of HTML,
+ * both concatenated and as streamed chunks, and checks that both
+ * transforms produce the same output.
+ * Usage: node benchmark/benchmark.js [megabytes]
+ */
+
+const megabytes = parseFloat(process.argv[2]) || 1;
+
+/**
+ * Create some HTML-like data of about a size.
+ * The data ends with a whole block, because the baseline drops a partial
+ * match at the end of the data.
+ * @param {Number} size - Size in bytes
+ * @returns {Buffer}
+ */
+function createData(size){
+    const block = [
+        '<!DOCTYPE html>\r\n',
+        '<html>\r\n',
+        '    <head>\r\n',
+        '        <title>Benchmark</title>\r\n',
+        '        <!-- styles -->\r\n',
+        '    </head>\r\n',
+        '    <body>\r\n',
+        '        <div class="row">\r\n',
+        '            <span>  Some   text  </span>\r\n',
+        '            <!-- dev -->\r\n',
+        '            <p>\tMore text, with tabs\t</p>\r\n',
+        '        </div>\r\n',
+        '        <!-- scripts -->\r\n',
+        '    </body>\r\n',
+        '</html>\r\n'
+    ].join('');
+    let count = Math.ceil(size / block.length);
+    return Buffer.from(block.repeat(count));
+}
+
+/**
+ * Add the same modifiers to a transform.
+ * @param {DataTransform} datatransform
+ * @returns {DataTransform}
+ */
+function addModifiers(datatransform){
+    datatransform
+        .erase('  ')
+        .erase('\t')
+        .erase(Buffer.from([0x0d, 0x0a]))
+        .erase('<!-- dev -->')
+        .replace('<!-- styles -->', {string: '<link rel="stylesheet" href="app.css">'})
+        .append('<!-- scripts -->', {string: '<script src="app.js"></script>'})
+        .prepend('</body>', {string: '<footer></footer>'})
+        .compare('<title>');
+    // Many erase modifiers that rarely or never match
+    for(let i = 0; i < 40; i++){
+        datatransform.erase(`<!-- unused-${i} -->`);
+    }
+    return datatransform;
+}
+
+/**
+ * Pipe data through a transform.
+ * @param {DataTransform} datatransform
+ * @param {Buffer} data
+ * @param {Number} chunk_size
+ * @returns {Promise<{time: Number, output: Buffer}>}
+ */
+function run(datatransform, data, chunk_size){
+    let position = 0;
+    let readable = new Readable({
+        read(){
+            if(position >= data.length){
+                this.push(null);
+                return;
+            }
+            this.push(data.slice(position, position + chunk_size));
+            position += chunk_size;
+        }
+    });
+    let buffers = [];
+    let writable = new Writable({
+        write(chunk, encoding, next){
+            buffers.push(chunk);
+            next();
+        }
+    });
+    let start = process.hrtime.bigint();
+    return new Promise((resolve, reject) => {
+        readable
+            .pipe(datatransform)
+            .pipe(writable)
+            .on('finish', () => {
+                let time = Number(process.hrtime.bigint() - start) / 1e6;
+                resolve({time, output: Buffer.concat(buffers)});
+            })
+            .on('error', reject);
+    });
+}
+
+/**
+ * Run the benchmark.
+ */
+async function main(){
+    let data = createData(Math.round(megabytes * 1024 * 1024));
+    console.log(`Data: ${data.length} bytes, 48 modifiers`);
+    const cases = [
+        {name: "concat", options: {concat: true}, chunk_size: 64 * 1024},
+        {name: "stream 64KB chunks", options: {concat: false}, chunk_size: 64 * 1024},
+        {name: "stream 1KB chunks", options: {concat: false}, chunk_size: 1024}
+    ];
+    for(let i = 0; i < cases.length; i++){
+        const test = cases[i];
+        let baseline = await run(addModifiers(new BaselineDataTransform(test.options)), data, test.chunk_size);
+        let current = await run(addModifiers(new DataTransform(test.options)), data, test.chunk_size);
+        let same = baseline.output.compare(current.output) === 0;
+        console.log(
+            `${test.name.padEnd(20)} ` +
+            `baseline ${baseline.time.toFixed(0).padStart(7)}ms  ` +
+            `current ${current.time.toFixed(0).padStart(7)}ms  ` +
+            `${(baseline.time / current.time).toFixed(1)}x  ` +
+            `output ${same ? "identical" : "DIFFERENT"}`
+        );
+    }
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
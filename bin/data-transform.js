@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+const Fs = require('fs');
+const Path = require('path');
+const Glob = require('glob');
+const {pipeline} = require('stream');
+const {DataTransform} = require('../index');
+
+const usage = `Usage: data-transform --config <file> [options] [files...]
+
+Applies a JSON config to stdin and writes to stdout, or applies it to 
+each file that matches the given paths or glob patterns.
+
+Options:
+  -c, --config <file>    JSON config to apply
+  -i, --in-place         Rewrite each file in place
+  -o, --out-dir <dir>    Write each file into a directory, keeping its 
+                         path relative to the current directory
+  -h, --help             Show this help`;
+
+/**
+ * Parse the command line arguments.
+ * @param {String[]} args
+ * @throws {Error} If the arguments are not valid
+ * @returns {{config: String, in_place: Boolean, out_dir: String, patterns: String[], help: Boolean}}
+ */
+function parseArgs(args){
+    let parsed = {config: null, in_place: false, out_dir: null, patterns: [], help: false};
+    for(let i = 0; i < args.length; i++){
+        const arg = args[i];
+        switch(arg){
+            case "-c":
+            case "--config":
+                parsed.config = args[++i];
+                break;
+            case "-i":
+            case "--in-place":
+                parsed.in_place = true;
+                break;
+            case "-o":
+            case "--out-dir":
+                parsed.out_dir = args[++i];
+                break;
+            case "-h":
+            case "--help":
+                parsed.help = true;
+                break;
+            default:
+                if(arg.startsWith("-")){
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                parsed.patterns.push(arg);
+                break;
+        }
+    }
+    if(parsed.help){
+        return parsed;
+    }
+    if(!parsed.config){
+        throw new Error("A config is required");
+    }
+    if(parsed.patterns.length){
+        if(parsed.in_place === !!parsed.out_dir){
+            throw new Error("Files require one of --in-place or --out-dir");
+        }
+    }
+    else if(parsed.in_place || parsed.out_dir){
+        throw new Error("--in-place and --out-dir require files");
+    }
+    return parsed;
+}
+
+/**
+ * Pipe a readable through a new DataTransform into a writable.
+ * @param {Function} create - Creates the DataTransform
+ * @param {Readable} readable
+ * @param {Writable} writable
+ * @returns {Promise}
+ */
+function transform(create, readable, writable){
+    return new Promise((resolve, reject) => {
+        pipeline(readable, create(), writable, (error) => {
+            if(error){
+                reject(error);
+            }
+            else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Get the path that a file is written to in an output directory, which
+ * is its path relative to the current directory.
+ * @param {String} file
+ * @param {String} out_dir
+ * @throws {Error} If the file is not inside the current directory, or 
+ * would be written over itself
+ * @returns {String}
+ */
+function getDestination(file, out_dir){
+    let relative = Path.relative(process.cwd(), Path.resolve(file));
+    if(relative === ".." || relative.startsWith(".." + Path.sep) || Path.isAbsolute(relative)){
+        throw new Error(`${file} is outside of the current directory, so it can't be written to --out-dir`);
+    }
+    let destination = Path.join(out_dir, relative);
+    if(Path.resolve(destination) === Path.resolve(file)){
+        throw new Error(`${file} would be written over itself, use --in-place instead`);
+    }
+    return destination;
+}
+
+/**
+ * Transform a file in place, or into an output directory.
+ * In place, the file is written to a temporary file that replaces it,
+ * with the same mode, and that is removed if anything fails. The
+ * temporary file is hidden, so that globs of later runs don't match it.
+ * @param {Function} create - Creates the DataTransform
+ * @param {String} file
+ * @param {String} [out_dir]
+ * @returns {Promise}
+ */
+async function transformFile(create, file, out_dir){
+    let destination = Path.join(Path.dirname(file), `.${Path.basename(file)}.data-transform-${process.pid}`);
+    if(out_dir){
+        destination = getDestination(file, out_dir);
+        Fs.mkdirSync(Path.dirname(destination), {recursive: true});
+    }
+    try {
+        await transform(create, Fs.createReadStream(file), Fs.createWriteStream(destination));
+        if(!out_dir){
+            // Keep the permissions of the file, such as whether it runs
+            Fs.chmodSync(destination, Fs.statSync(file).mode);
+            Fs.renameSync(destination, file);
+        }
+    }
+    catch(error){
+        if(!out_dir){
+            Fs.rmSync(destination, {force: true});
+        }
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Run the command.
+ * @param {String[]} args
+ * @returns {Promise<Number>} Exit code
+ */
+async function main(args){
+    let parsed = null;
+    try {
+        parsed = parseArgs(args);
+    }
+    catch(error){
+        process.stderr.write(`${error.message}\n\n${usage}\n`);
+        return 2;
+    }
+    if(parsed.help){
+        process.stdout.write(`${usage}\n`);
+        return 0;
+    }
+
+    try {
+        let config_file = Path.resolve(parsed.config);
+        let config = JSON.parse(Fs.readFileSync(config_file, "utf8"));
+        const options = {baseDirectory: Path.dirname(config_file)};
+        // The config is read once, before any data is read, and each
+        // file gets a clone
+        const create = DataTransform.fromConfig(config, options).factory();
+
+        if(!parsed.patterns.length){
+            await transform(create, process.stdin, process.stdout);
+            return 0;
+        }
+        let files = new Set();
+        for(let i = 0; i < parsed.patterns.length; i++){
+            let found = Glob.sync(parsed.patterns[i], {nodir: true});
+            if(!found.length){
+                throw new Error(`No files match ${parsed.patterns[i]}`);
+            }
+            found.forEach((file) => files.add(file));
+        }
+        // Check every destination before any file is written
+        if(parsed.out_dir){
+            files.forEach((file) => getDestination(file, parsed.out_dir));
+        }
+        for(let file of files){
+            await transformFile(create, file, parsed.out_dir);
+        }
+        return 0;
+    }
+    catch(error){
+        process.stderr.write(`${error.message}\n`);
+        return 1;
+    }
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+}).catch((error) => {
+    process.stderr.write(`${error.stack}\n`);
+    process.exitCode = 1;
+});
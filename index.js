@@ -1,4 +1,11 @@
 module.exports = {
+    Compression: require('./lib/compression'),
+    Config: require('./lib/config'),
+    ContentCache: require('./lib/contentCache'),
     DataTransform: require('./lib/dataTransform'),
-    Modifier: require('./lib/modifier')
+    DataTransformError: require('./lib/dataTransformError'),
+    Diff: require('./lib/diff'),
+    HttpTransform: require('./lib/httpTransform'),
+    Modifier: require('./lib/modifier'),
+    RecordTransform: require('./lib/recordTransform')
 };
\ No newline at end of file
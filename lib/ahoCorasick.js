@@ -0,0 +1,134 @@
+/**
+ * An Aho-Corasick automaton that finds every occurrence of a set of byte
+ * patterns in a single pass over some data.
+ * @example
+ * let automaton = new AhoCorasick([Buffer.from("he"), Buffer.from("she")]);
+ * automaton.search(Buffer.from("ushers"), 6, (pattern, end) => {
+ *     // called with (1, 4) for "she" and (0, 4) for "he"
+ * });
+ */
+class AhoCorasick {
+
+    /**
+     * Constructor.
+     * Builds the automaton as a table of transitions for every byte value,
+     * so searching never has to follow failure links.
+     * @param {Buffer[]} patterns - Non empty patterns to find
+     */
+    constructor(patterns){
+
+        /**
+         * Patterns to find
+         * @type {Buffer[]}
+         */
+        this.patterns = patterns;
+
+        let state_count = 1;
+        for(let i = 0; i < patterns.length; i++){
+            state_count += patterns[i].length;
+        }
+
+        /**
+         * Transition of each state for each byte value
+         * @type {Int32Array}
+         */
+        this.transitions = new Int32Array(state_count * 256).fill(-1);
+
+        /**
+         * Length of the pattern prefix that each state represents
+         * @type {Int32Array}
+         */
+        this.depths = new Int32Array(state_count);
+
+        /**
+         * Patterns that end at each state, including those that end at
+         * any of its suffixes
+         * @type {Array<Number[]>}
+         */
+        this.outputs = [[]];
+
+        this.build();
+    }
+
+    /**
+     * Build the trie of patterns, then fill in the transitions of each state
+     * from its failure state, in breadth first order.
+     */
+    build(){
+        let states = 1;
+        for(let p = 0; p < this.patterns.length; p++){
+            const pattern = this.patterns[p];
+            let state = 0;
+            for(let i = 0; i < pattern.length; i++){
+                let index = state * 256 + pattern[i];
+                if(this.transitions[index] === -1){
+                    this.transitions[index] = states;
+                    this.depths[states] = i + 1;
+                    this.outputs[states] = [];
+                    states++;
+                }
+                state = this.transitions[index];
+            }
+            this.outputs[state].push(p);
+        }
+
+        let failures = new Int32Array(states);
+        let queue = [];
+        for(let byte = 0; byte < 256; byte++){
+            let next = this.transitions[byte];
+            if(next === -1){
+                this.transitions[byte] = 0;
+            }
+            else {
+                failures[next] = 0;
+                queue.push(next);
+            }
+        }
+        for(let q = 0; q < queue.length; q++){
+            const state = queue[q];
+            const failure = failures[state];
+            // Patterns that end at the failure state also end here
+            if(this.outputs[failure].length){
+                this.outputs[state] = this.outputs[state].concat(this.outputs[failure]);
+            }
+            for(let byte = 0; byte < 256; byte++){
+                let index = state * 256 + byte;
+                let next = this.transitions[index];
+                if(next === -1){
+                    this.transitions[index] = this.transitions[failure * 256 + byte];
+                }
+                else {
+                    failures[next] = this.transitions[failure * 256 + byte];
+                    queue.push(next);
+                }
+            }
+        }
+    }
+
+    /**
+     * Search data for every occurrence of every pattern.
+     * Occurrences are reported in order of where they end. Occurrences that
+     * end at the same position are reported longest pattern first.
+     * @param {Buffer} data
+     * @param {Number} length - How much of the data to search
+     * @param {Function} callback - Called with the pattern index and the
+     * position in the data where the occurrence ends
+     * @returns {Number} Length of the longest pattern prefix at the end of
+     * the searched data, which may become an occurrence with more data
+     */
+    search(data, length, callback){
+        const transitions = this.transitions;
+        const outputs = this.outputs;
+        let state = 0;
+        for(let i = 0; i < length; i++){
+            state = transitions[state * 256 + data[i]];
+            const output = outputs[state];
+            for(let x = 0; x < output.length; x++){
+                callback(output[x], i + 1);
+            }
+        }
+        return this.depths[state];
+    }
+}
+
+module.exports = AhoCorasick;
@@ -0,0 +1,245 @@
+/**
+ * Folds the case of encoded data so that it can be compared without
+ * regard to case. Folding never changes the length of the data, so that
+ * a position in folded data is the same position in the original data.
+ * Characters whose lower case has a different encoded length, as well as
+ * incomplete or invalid sequences, are left as they are.
+ * @example
+ * let folder = new CaseFolder("utf8");
+ * folder.fold(Buffer.from("CAFÉ")); // same bytes as Buffer.from("café")
+ */
+class CaseFolder {
+
+    /**
+     * Constructor
+     * @param {String} [encoding="utf8"] - "utf8", "latin1", or "utf16le"
+     */
+    constructor(encoding = "utf8"){
+
+        /**
+         * Encoding of the data to fold
+         * @type {String}
+         */
+        this.encoding = CaseFolder.normalizeEncoding(encoding);
+
+        /**
+         * Lower case of each single byte value
+         * @type {Number[]}
+         */
+        this.byte_table = [];
+        for(let i = 0; i < 256; i++){
+            let limit = this.encoding === "latin1" ? 0xff : 0x7f;
+            let lower = String.fromCharCode(i).toLowerCase().charCodeAt(0);
+            this.byte_table[i] = (i <= limit && lower <= limit) ? lower : i;
+        }
+
+        /**
+         * Encoded lower case of each code point seen so far,
+         * or null if it can not be folded
+         * @type {Map<Number, Buffer>}
+         */
+        this.cache = new Map();
+    }
+
+    /**
+     * Normalize the name of a supported encoding.
+     * @param {String} encoding
+     * @throws {Error} If the encoding is not supported
+     * @returns {String} "utf8", "latin1", or "utf16le"
+     */
+    static normalizeEncoding(encoding){
+        switch((encoding || "utf8").toLowerCase()){
+            case "utf8":
+            case "utf-8":
+                return "utf8";
+            case "latin1":
+            case "binary":
+                return "latin1";
+            case "utf16le":
+            case "utf-16le":
+            case "ucs2":
+            case "ucs-2":
+                return "utf16le";
+            default:
+                throw new Error(`Unsupported encoding ${encoding}`);
+        }
+    }
+
+    /**
+     * Get the encoded lower case of a code point.
+     * @param {Number} code_point
+     * @param {Number} length - Encoded length of the code point
+     * @returns {Buffer|null} Null if the code point is already lower case,
+     * or if its lower case has a different length
+     */
+    lower(code_point, length){
+        let lower = this.cache.get(code_point);
+        if(typeof lower === "undefined"){
+            lower = null;
+            let string = String.fromCodePoint(code_point);
+            let lower_string = string.toLowerCase();
+            if(lower_string !== string){
+                lower = Buffer.from(lower_string, this.encoding);
+                if(lower.length !== length){
+                    lower = null;
+                }
+            }
+            this.cache.set(code_point, lower);
+        }
+        return lower;
+    }
+
+    /**
+     * Fold the case of data.
+     * @param {Buffer} buffer
+     * @param {Number} [offset=0] - Offset of the buffer in the whole stream.
+     * This is used to align utf16le code units.
+     * @returns {Buffer} Folded copy of the data
+     */
+    fold(buffer, offset = 0){
+        let folded = Buffer.from(buffer);
+        if(this.encoding === "latin1"){
+            for(let i = 0; i < folded.length; i++){
+                folded[i] = this.byte_table[folded[i]];
+            }
+        }
+        else if(this.encoding === "utf8"){
+            this.foldUtf8(folded);
+        }
+        else {
+            this.foldUtf16(folded, offset % 2);
+        }
+        return folded;
+    }
+
+    /**
+     * Fold the case of utf8 data in place.
+     * @param {Buffer} buffer
+     */
+    foldUtf8(buffer){
+        let i = 0;
+        while(i < buffer.length){
+            let byte = buffer[i];
+            if(byte < 0x80){
+                buffer[i] = this.byte_table[byte];
+                i++;
+                continue;
+            }
+            let length = this.getUtf8Length(byte);
+            if(!length || i + length > buffer.length){
+                i++;
+                continue;
+            }
+            let code_point = byte & (0xff >> (length + 1));
+            let valid = true;
+            for(let x = 1; x < length; x++){
+                let next = buffer[i + x];
+                if((next & 0xc0) !== 0x80){
+                    valid = false;
+                    break;
+                }
+                code_point = (code_point << 6) | (next & 0x3f);
+            }
+            if(!valid || code_point > 0x10ffff){
+                i++;
+                continue;
+            }
+            let lower = this.lower(code_point, length);
+            if(lower){
+                lower.copy(buffer, i);
+            }
+            i += length;
+        }
+    }
+
+    /**
+     * Fold the case of utf16le data in place.
+     * @param {Buffer} buffer
+     * @param {Number} start - Position of the first whole code unit
+     */
+    foldUtf16(buffer, start){
+        let i = start;
+        while(i + 1 < buffer.length){
+            let unit = buffer.readUInt16LE(i);
+            let length = 2;
+            let code_point = unit;
+            // Surrogate pair
+            if(unit >= 0xd800 && unit <= 0xdbff && i + 3 < buffer.length){
+                let next = buffer.readUInt16LE(i + 2);
+                if(next >= 0xdc00 && next <= 0xdfff){
+                    code_point = ((unit - 0xd800) << 10) + (next - 0xdc00) + 0x10000;
+                    length = 4;
+                }
+            }
+            let lower = this.lower(code_point, length);
+            if(lower){
+                lower.copy(buffer, i);
+            }
+            i += length;
+        }
+    }
+
+    /**
+     * Get the length of a utf8 sequence from its first byte.
+     * @param {Number} byte
+     * @returns {Number} Length, or 0 if not the first byte of a sequence
+     */
+    getUtf8Length(byte){
+        if(byte < 0x80){
+            return 1;
+        }
+        if((byte & 0xe0) === 0xc0){
+            return 2;
+        }
+        if((byte & 0xf0) === 0xe0){
+            return 3;
+        }
+        if((byte & 0xf8) === 0xf0){
+            return 4;
+        }
+        return 0;
+    }
+
+    /**
+     * Get the length of data up to an incomplete character at its end.
+     * A character split across chunks can only be folded once the rest of
+     * it arrives, so it should not be compared until then.
+     * @param {Buffer} buffer
+     * @param {Number} [offset=0] - Offset of the buffer in the whole stream
+     * @returns {Number}
+     */
+    getCompleteLength(buffer, offset = 0){
+        let length = buffer.length;
+        if(this.encoding === "utf8"){
+            // Look back at most 3 bytes for the start of a sequence
+            for(let i = length - 1; i >= 0 && i >= length - 3; i--){
+                let byte = buffer[i];
+                // Continuation byte
+                if((byte & 0xc0) === 0x80){
+                    continue;
+                }
+                let char_length = this.getUtf8Length(byte);
+                if(char_length > 1 && i + char_length > length){
+                    return i;
+                }
+                break;
+            }
+        }
+        else if(this.encoding === "utf16le"){
+            // Odd trailing byte
+            if((offset + length) % 2){
+                length--;
+            }
+            // Trailing high surrogate
+            if(length >= 2){
+                let unit = buffer.readUInt16LE(length - 2);
+                if(unit >= 0xd800 && unit <= 0xdbff){
+                    length -= 2;
+                }
+            }
+        }
+        return length;
+    }
+}
+
+module.exports = CaseFolder;
@@ -0,0 +1,75 @@
+const Zlib = require('zlib');
+
+/**
+ * Decoders and encoders of each supported compression
+ * @type {Object}
+ */
+const codings = {
+    "gzip": {decode: Zlib.createGunzip, encode: Zlib.createGzip},
+    "x-gzip": {decode: Zlib.createGunzip, encode: Zlib.createGzip},
+    "deflate": {decode: Zlib.createInflate, encode: Zlib.createDeflate},
+    "br": {decode: Zlib.createBrotliDecompress, encode: Zlib.createBrotliCompress}
+};
+
+/**
+ * Creates zlib streams for the compressions that data can have,
+ * which are "gzip", "deflate", and "br", and detects compressed data.
+ * @example
+ * let coding = Compression.detect(chunk);
+ * let decoder = Compression.createDecoder(coding);
+ */
+class Compression {
+
+    /**
+     * Check if a compression is supported.
+     * @param {String} coding
+     * @returns {Boolean}
+     */
+    static isSupported(coding){
+        return Object.prototype.hasOwnProperty.call(codings, coding);
+    }
+
+    /**
+     * Create a stream that decompresses data.
+     * @param {String} coding
+     * @returns {Transform}
+     */
+    static createDecoder(coding){
+        return codings[coding].decode();
+    }
+
+    /**
+     * Create a stream that compresses data.
+     * @param {String} coding
+     * @returns {Transform}
+     */
+    static createEncoder(coding){
+        return codings[coding].encode();
+    }
+
+    /**
+     * Detect the compression of data from its first bytes.
+     * Gzip data starts with its magic bytes, and deflate data with a zlib
+     * header. Brotli data has no magic bytes, so it can't be detected.
+     * @param {Buffer} data - At least the first two bytes of the data
+     * @returns {String|null} "gzip", "deflate", or null if the data does
+     * not look compressed
+     */
+    static detect(data){
+        if(data.length < 2){
+            return null;
+        }
+        if(data[0] === 0x1f && data[1] === 0x8b){
+            return "gzip";
+        }
+        // The compression method is deflate, the window size is valid,
+        // no preset dictionary is used, and the header check is valid
+        if((data[0] & 0x0f) === 8 && (data[0] >> 4) <= 7 && !(data[1] & 0x20)
+            && ((data[0] << 8) | data[1]) % 31 === 0){
+            return "deflate";
+        }
+        return null;
+    }
+}
+
+module.exports = Compression;
@@ -0,0 +1,630 @@
+const Path = require('path');
+const Compression = require('./compression');
+const Modifier = require('./modifier');
+
+/**
+ * Actions that a modifier in a config can have
+ * @type {String[]}
+ */
+const actions = [
+    "append", "prepend", "replace", "erase", "compare", "split",
+    "eraseBetween", "replaceBetween", "extractBetween",
+    "dropLine", "prefixLine", "suffixLine", "include",
+    "header", "footer", "insertAt", "eraseRange"
+];
+
+/**
+ * Actions that write contents
+ * @type {String[]}
+ */
+const content_actions = [
+    "append", "prepend", "replace", "replaceBetween", "prefixLine", "suffixLine",
+    "header", "footer", "insertAt"
+];
+
+/**
+ * Modifier options that a modifier in a config can have, and their types
+ * @type {Object}
+ */
+const modifier_options = {
+    anchor: "string",
+    encoding: "string",
+    every: "number",
+    first: "boolean",
+    ignoreCase: "boolean",
+    keepMarkers: "boolean",
+    length: "number",
+    limit: "number",
+    maxLength: "number",
+    nth: "number",
+    offset: "number",
+    priority: "number",
+    push: "boolean",
+    unterminated: "string",
+    window: "number"
+};
+
+/**
+ * A declarative description of a DataTransform, such as one read from a
+ * JSON file. The config is validated when it is created, and errors name
+ * the path of the bad entry, such as "modifiers[2].match".
+ * @example
+ * let config = new Config({
+ *     concat: false,
+ *     modifiers: [
+ *         {action: "erase", match: {hex: "0d0a"}},
+ *         {action: "replace", match: {regex: "v\\d+", flags: "i"}, contents: {string: "v2"}, first: true},
+ *         {action: "append", match: "<!-- templates -->", contents: {directory: "templates"}}
+ *     ]
+ * }, {baseDirectory: __dirname});
+ * let datatransform = new DataTransform(config.toOptions());
+ */
+class Config {
+
+    /**
+     * Constructor
+     * @param {Object} config
+     * @param {Boolean} [config.concat=true] - DataTransform concat option
+     * @param {Boolean} [config.lines=false] - DataTransform lines option
+     * @param {Number} [config.maxMatchLength] - DataTransform maxMatchLength
+     * option
+     * @param {Number} [config.maxBufferSize] - DataTransform maxBufferSize
+     * option
+     * @param {String} [config.bufferLimit] - DataTransform bufferLimit option
+     * @param {String} [config.overlap] - DataTransform overlap option
+     * @param {Object} [config.vars] - DataTransform vars option
+     * @param {String} [config.missingVars] - DataTransform missingVars option
+     * @param {Boolean} [config.scopeInserted=false] - DataTransform 
+     * scopeInserted option
+     * @param {Boolean} [config.strict=false] - DataTransform strict option
+     * @param {String} [config.decompress] - DataTransform decompress option
+     * @param {String} [config.compress] - DataTransform compress option
+     * @param {Boolean} [config.include=false] - DataTransform include option
+     * @param {Number} [config.maxIncludeDepth] - DataTransform 
+     * maxIncludeDepth option
+     * @param {Object[]} config.modifiers - Each has an action, a match,
+     * contents if the action writes any, and modifier options. A match is
+     * a string, a number, {hex}, {regex, flags}, or a {start, end} pair of
+     * these. The match of an include is optional, and positional actions
+     * have none, but an offset and, for eraseRange, a length. A scope is
+     * a {start, end, outside} object. Contents are {string}, {file}, 
+     * {directory}, {template}, or an array of these.
+     * @param {Object} [options]
+     * @param {String} [options.baseDirectory=process.cwd()] - Directory that
+     * relative file and directory paths, and the paths of include 
+     * directives, are resolved from
+     * @throws {Error} If the config is not valid
+     */
+    constructor(config, options = {}){
+
+        /**
+         * Directory that relative paths are resolved from
+         * @type {String}
+         */
+        this.base_directory = options.baseDirectory || process.cwd();
+
+        if(!this.isObject(config)){
+            this.fail("config", "must be an object");
+        }
+        this.checkKeys(config, [
+            "bufferLimit", "compress", "concat", "decompress", "include", "lines", 
+            "maxBufferSize", "maxIncludeDepth", "maxMatchLength", "missingVars", 
+            "modifiers", "overlap", "scopeInserted", "strict", "vars"
+        ], "config");
+
+        /**
+         * Whether to concat all chunks before processing
+         * @type {Boolean}
+         */
+        this.concat = true;
+        if(typeof config.concat !== "undefined"){
+            this.checkType(config.concat, "boolean", "concat");
+            this.concat = config.concat;
+        }
+
+        /**
+         * Whether to process chunks in whole lines
+         * @type {Boolean}
+         */
+        this.lines = false;
+        if(typeof config.lines !== "undefined"){
+            this.checkType(config.lines, "boolean", "lines");
+            this.lines = config.lines;
+        }
+
+        /**
+         * Whether scope markers in inserted contents open and close scopes
+         * @type {Boolean}
+         */
+        this.scope_inserted = false;
+        if(typeof config.scopeInserted !== "undefined"){
+            this.checkType(config.scopeInserted, "boolean", "scopeInserted");
+            this.scope_inserted = config.scopeInserted;
+        }
+
+        /**
+         * Whether contents that can't be written are a stream error
+         * @type {Boolean}
+         */
+        this.strict = false;
+        if(typeof config.strict !== "undefined"){
+            this.checkType(config.strict, "boolean", "strict");
+            this.strict = config.strict;
+        }
+
+        /**
+         * Compression of the input, or "auto"
+         * @type {String}
+         */
+        this.decompress = null;
+        if(typeof config.decompress !== "undefined"){
+            this.checkCompression(config.decompress, "decompress");
+            this.decompress = config.decompress;
+        }
+
+        /**
+         * Compression of the output, or "auto"
+         * @type {String}
+         */
+        this.compress = null;
+        if(typeof config.compress !== "undefined"){
+            this.checkCompression(config.compress, "compress");
+            this.compress = config.compress;
+        }
+
+        /**
+         * Whether file and directory contents are transformed
+         * @type {Boolean}
+         */
+        this.include = false;
+        if(typeof config.include !== "undefined"){
+            this.checkType(config.include, "boolean", "include");
+            this.include = config.include;
+        }
+
+        /**
+         * How deep included files can be nested, or undefined for the 
+         * default
+         * @type {Number|undefined}
+         */
+        this.max_include_depth = undefined;
+        if(typeof config.maxIncludeDepth !== "undefined"){
+            // 0 does not include files
+            if(!Number.isInteger(config.maxIncludeDepth) || config.maxIncludeDepth < 0){
+                this.fail("maxIncludeDepth", "must be a non-negative integer");
+            }
+            this.max_include_depth = config.maxIncludeDepth;
+        }
+
+        /**
+         * The longest that a regular expression match can be
+         * @type {Number}
+         */
+        this.max_match_length = 0;
+        if(typeof config.maxMatchLength !== "undefined"){
+            this.checkCount(config.maxMatchLength, "maxMatchLength");
+            this.max_match_length = config.maxMatchLength;
+        }
+
+        /**
+         * The most bytes to buffer when concatenating chunks, or 0
+         * @type {Number}
+         */
+        this.max_buffer_size = 0;
+        if(typeof config.maxBufferSize !== "undefined"){
+            this.checkCount(config.maxBufferSize, "maxBufferSize");
+            this.max_buffer_size = config.maxBufferSize;
+        }
+
+        /**
+         * What to do when the buffer would exceed its size
+         * @type {String}
+         */
+        this.buffer_limit = null;
+        if(typeof config.bufferLimit !== "undefined"){
+            if(!["error", "stream"].includes(config.bufferLimit)){
+                this.fail("bufferLimit", `must be "error" or "stream"`);
+            }
+            this.buffer_limit = config.bufferLimit;
+        }
+
+        /**
+         * How to choose between matches that overlap
+         * @type {String}
+         */
+        this.overlap = null;
+        if(typeof config.overlap !== "undefined"){
+            if(!["order", "longest", "priority"].includes(config.overlap)){
+                this.fail("overlap", `must be "order", "longest", or "priority"`);
+            }
+            this.overlap = config.overlap;
+        }
+
+        /**
+         * Variables of template contents
+         * @type {Object}
+         */
+        this.vars = null;
+        if(typeof config.vars !== "undefined"){
+            if(!this.isObject(config.vars)){
+                this.fail("vars", "must be an object");
+            }
+            this.vars = config.vars;
+        }
+
+        /**
+         * What to do with a missing template variable
+         * @type {String}
+         */
+        this.missing_vars = null;
+        if(typeof config.missingVars !== "undefined"){
+            this.checkMissing(config.missingVars, "missingVars");
+            this.missing_vars = config.missingVars;
+        }
+
+        if(!Array.isArray(config.modifiers)){
+            this.fail("modifiers", "must be an array");
+        }
+
+        /**
+         * Modifiers of the config
+         * @type {Modifier[]}
+         */
+        this.modifiers = config.modifiers.map((modifier, index) => {
+            return this.parseModifier(modifier, `modifiers[${index}]`);
+        });
+    }
+
+    /**
+     * Get the options of a DataTransform that applies the config.
+     * @returns {Object}
+     */
+    toOptions(){
+        let options = {
+            concat: this.concat,
+            modifiers: this.modifiers.slice()
+        };
+        if(this.lines){
+            options.lines = true;
+        }
+        if(this.scope_inserted){
+            options.scopeInserted = true;
+        }
+        if(this.strict){
+            options.strict = true;
+        }
+        if(this.decompress){
+            options.decompress = this.decompress;
+        }
+        if(this.compress){
+            options.compress = this.compress;
+        }
+        if(this.include){
+            options.include = true;
+        }
+        if(typeof this.max_include_depth !== "undefined"){
+            options.maxIncludeDepth = this.max_include_depth;
+        }
+        // Include directives are resolved like the paths of the config
+        if(this.include || this.modifiers.some((modifier) => modifier.action === "include")){
+            options.baseDirectory = this.base_directory;
+        }
+        if(this.max_match_length){
+            options.maxMatchLength = this.max_match_length;
+        }
+        if(this.max_buffer_size){
+            options.maxBufferSize = this.max_buffer_size;
+        }
+        if(this.buffer_limit){
+            options.bufferLimit = this.buffer_limit;
+        }
+        if(this.overlap){
+            options.overlap = this.overlap;
+        }
+        if(this.vars){
+            options.vars = this.vars;
+        }
+        if(this.missing_vars){
+            options.missingVars = this.missing_vars;
+        }
+        return options;
+    }
+
+    /**
+     * Throw an error about an entry of the config.
+     * @param {String} path - Path of the entry
+     * @param {String} message
+     * @throws {Error}
+     */
+    fail(path, message){
+        let error = new Error(`Invalid config: ${path} ${message}`);
+        error.path = path;
+        throw error;
+    }
+
+    /**
+     * Check if a value is a plain object.
+     * @param {*} value
+     * @returns {Boolean}
+     */
+    isObject(value){
+        return value !== null && typeof value === "object" && !Array.isArray(value);
+    }
+
+    /**
+     * Check that an object has no keys other than some allowed keys.
+     * @param {Object} object
+     * @param {String[]} keys - Allowed keys
+     * @param {String} path - Path of the object
+     * @throws {Error} If there is another key
+     */
+    checkKeys(object, keys, path){
+        for(let key in object){
+            if(!keys.includes(key)){
+                this.fail(`${path}.${key}`, "is not a known option");
+            }
+        }
+    }
+
+    /**
+     * Check the type of a value.
+     * @param {*} value
+     * @param {String} type
+     * @param {String} path - Path of the value
+     * @throws {Error} If the value is another type
+     */
+    checkType(value, type, path){
+        if(typeof value !== type){
+            this.fail(path, `must be a ${type}`);
+        }
+    }
+
+    /**
+     * Check that a value is a positive integer.
+     * @param {*} value
+     * @param {String} path - Path of the value
+     * @throws {Error} If the value is not a positive integer
+     */
+    checkCount(value, path){
+        if(!Number.isInteger(value) || value < 1){
+            this.fail(path, "must be a positive integer");
+        }
+    }
+
+    /**
+     * Check that a value is a way to handle missing template variables.
+     * @param {*} value
+     * @param {String} path - Path of the value
+     * @throws {Error} If the value is not "leave", "empty", or "error"
+     */
+    checkMissing(value, path){
+        if(!["leave", "empty", "error"].includes(value)){
+            this.fail(path, `must be "leave", "empty", or "error"`);
+        }
+    }
+
+    /**
+     * Check that a value is a compression, or "auto".
+     * @param {*} value
+     * @param {String} path - Path of the value
+     * @throws {Error} If the value is not "gzip", "deflate", "br", or "auto"
+     */
+    checkCompression(value, path){
+        if(value !== "auto" && !Compression.isSupported(value)){
+            this.fail(path, `must be "gzip", "deflate", "br", or "auto"`);
+        }
+    }
+
+    /**
+     * Parse a modifier entry.
+     * @param {Object} entry
+     * @param {String} path - Path of the entry
+     * @throws {Error} If the entry is not valid
+     * @returns {Modifier}
+     */
+    parseModifier(entry, path){
+        if(!this.isObject(entry)){
+            this.fail(path, "must be an object");
+        }
+        let keys = ["action", "match", "contents", "scope"].concat(Object.keys(modifier_options));
+        this.checkKeys(entry, keys, path);
+        if(!actions.includes(entry.action)){
+            this.fail(`${path}.action`, `must be one of ${actions.join(", ")}`);
+        }
+
+        let options = {};
+        for(let key in modifier_options){
+            if(typeof entry[key] === "undefined"){
+                continue;
+            }
+            this.checkType(entry[key], modifier_options[key], `${path}.${key}`);
+            if(key === "priority"){
+                if(!Number.isFinite(entry[key])){
+                    this.fail(`${path}.${key}`, "must be a finite number");
+                }
+            }
+            else if(key === "offset" || key === "length"){
+                if(!Number.isInteger(entry[key]) || entry[key] < 0){
+                    this.fail(`${path}.${key}`, "must be a non-negative integer");
+                }
+            }
+            else if(modifier_options[key] === "number"){
+                this.checkCount(entry[key], `${path}.${key}`);
+            }
+            options[key] = entry[key];
+        }
+        if(typeof entry.scope !== "undefined"){
+            if(!this.isObject(entry.scope)){
+                this.fail(`${path}.scope`, "must be an object");
+            }
+            this.checkKeys(entry.scope, ["start", "end", "outside"], `${path}.scope`);
+            options.scope = {
+                start: this.parseMatch(entry.scope.start, `${path}.scope.start`),
+                end: this.parseMatch(entry.scope.end, `${path}.scope.end`),
+                outside: false
+            };
+            if(typeof entry.scope.outside !== "undefined"){
+                this.checkType(entry.scope.outside, "boolean", `${path}.scope.outside`);
+                options.scope.outside = entry.scope.outside;
+            }
+        }
+
+        let match = null;
+        let positional = ["header", "footer", "insertAt", "eraseRange"].includes(entry.action);
+        if(positional){
+            if(typeof entry.match !== "undefined"){
+                this.fail(`${path}.match`, `is not used by the ${entry.action} action`);
+            }
+        }
+        else if(this.isObject(entry.match) && (typeof entry.match.start !== "undefined" || typeof entry.match.end !== "undefined")){
+            this.checkKeys(entry.match, ["start", "end"], `${path}.match`);
+            match = {
+                start: this.parseMatch(entry.match.start, `${path}.match.start`),
+                end: this.parseMatch(entry.match.end, `${path}.match.end`)
+            };
+        }
+        else if(entry.action !== "include" || typeof entry.match !== "undefined"){
+            match = this.parseMatch(entry.match, `${path}.match`);
+        }
+
+        let contents = null;
+        if(content_actions.includes(entry.action)){
+            if(typeof entry.contents === "undefined"){
+                this.fail(`${path}.contents`, `is required for the ${entry.action} action`);
+            }
+            contents = [].concat(entry.contents).map((content, index) => {
+                let content_path = Array.isArray(entry.contents)
+                    ? `${path}.contents[${index}]`
+                    : `${path}.contents`;
+                return this.parseContent(content, content_path);
+            });
+        }
+        else if(typeof entry.contents !== "undefined"){
+            this.fail(`${path}.contents`, `is not used by the ${entry.action} action`);
+        }
+
+        try {
+            return new Modifier(entry.action, match, contents, options);
+        }
+        catch(error){
+            this.fail(path, error.message);
+        }
+    }
+
+    /**
+     * Parse a match entry.
+     * @param {Number|Object|String} entry - A string, a number, {hex}, or
+     * {regex, flags}
+     * @param {String} path - Path of the entry
+     * @throws {Error} If the entry is not valid
+     * @returns {Buffer|RegExp|String}
+     */
+    parseMatch(entry, path){
+        if(typeof entry === "string" || typeof entry === "number"){
+            if(entry === ""){
+                this.fail(path, "must not be empty");
+            }
+            return entry;
+        }
+        if(!this.isObject(entry)){
+            this.fail(path, "must be a string, a number, {hex}, or {regex}");
+        }
+        if(typeof entry.hex !== "undefined"){
+            this.checkKeys(entry, ["hex"], path);
+            this.checkType(entry.hex, "string", `${path}.hex`);
+            let hex = entry.hex.replace(/\s/g, "");
+            if(!hex.length || !/^([0-9a-fA-F]{2})+$/.test(hex)){
+                this.fail(`${path}.hex`, "must be pairs of hex digits");
+            }
+            return Buffer.from(hex, "hex");
+        }
+        if(typeof entry.regex !== "undefined"){
+            this.checkKeys(entry, ["regex", "flags"], path);
+            this.checkType(entry.regex, "string", `${path}.regex`);
+            if(typeof entry.flags !== "undefined"){
+                this.checkType(entry.flags, "string", `${path}.flags`);
+            }
+            try {
+                return new RegExp(entry.regex, entry.flags || "");
+            }
+            catch(error){
+                this.fail(`${path}.regex`, `is not a valid regular expression: ${error.message}`);
+            }
+        }
+        this.fail(path, "must be a string, a number, {hex}, or {regex}");
+    }
+
+    /**
+     * Parse a content entry.
+     * Relative file and directory paths are resolved from the base
+     * directory.
+     * @param {Object} entry - {string}, {file}, {directory}, or {template}
+     * @param {String} path - Path of the entry
+     * @throws {Error} If the entry is not valid
+     * @returns {Object}
+     */
+    parseContent(entry, path){
+        if(!this.isObject(entry)){
+            this.fail(path, "must be {string}, {file}, {directory}, or {template}");
+        }
+        let types = ["string", "file", "directory", "template"].filter((type) => {
+            return typeof entry[type] !== "undefined";
+        });
+        if(types.length !== 1){
+            this.fail(path, "must have exactly one of string, file, directory, or template");
+        }
+        const type = types[0];
+        if(type === "template"){
+            return this.parseTemplate(entry, path);
+        }
+        this.checkKeys(entry, type === "directory" ? ["directory", "directory_options"] : [type], path);
+        this.checkType(entry[type], "string", `${path}.${type}`);
+        if(type === "string"){
+            return {string: entry.string};
+        }
+        let content = {[type]: Path.resolve(this.base_directory, entry[type])};
+        if(typeof entry.directory_options !== "undefined"){
+            if(!this.isObject(entry.directory_options)){
+                this.fail(`${path}.directory_options`, "must be an object");
+            }
+            content.directory_options = entry.directory_options;
+        }
+        return content;
+    }
+
+    /**
+     * Parse a template content entry.
+     * @param {Object} entry - {template, vars, missing}, where the template
+     * is a string or {file}
+     * @param {String} path - Path of the entry
+     * @throws {Error} If the entry is not valid
+     * @returns {Object}
+     */
+    parseTemplate(entry, path){
+        this.checkKeys(entry, ["template", "vars", "missing"], path);
+        let content = {};
+        if(typeof entry.template === "string"){
+            content.template = entry.template;
+        }
+        else if(this.isObject(entry.template) && typeof entry.template.file === "string"){
+            this.checkKeys(entry.template, ["file"], `${path}.template`);
+            content.template = {file: Path.resolve(this.base_directory, entry.template.file)};
+        }
+        else {
+            this.fail(`${path}.template`, "must be a string or {file}");
+        }
+        if(typeof entry.vars !== "undefined"){
+            if(!this.isObject(entry.vars)){
+                this.fail(`${path}.vars`, "must be an object");
+            }
+            content.vars = entry.vars;
+        }
+        if(typeof entry.missing !== "undefined"){
+            this.checkMissing(entry.missing, `${path}.missing`);
+            content.missing = entry.missing;
+        }
+        return content;
+    }
+}
+
+module.exports = Config;
@@ -0,0 +1,220 @@
+const Fs = require('fs');
+const Path = require('path');
+const Glob = require('glob');
+const Logger = require('@voliware/logger');
+
+/**
+ * Whether fs.watch can watch subdirectories, which it can't on Linux 
+ * before Node 20
+ * @type {Boolean}
+ */
+const recursive_watch = process.platform !== "linux" 
+    || Number(process.versions.node.split(".")[0]) >= 20;
+
+/**
+ * Caches the contents of files and the results of directory searches,
+ * so that they are read once and can be shared by many DataTransforms.
+ * With the watch option, a cached file is invalidated when it changes,
+ * and a cached directory search is run again when its files change.
+ * Files are cached by their resolved paths.
+ * @example
+ * let cache = new ContentCache({watch: true});
+ * let datatransform_a = new DataTransform({cache});
+ * let datatransform_b = new DataTransform({cache});
+ * // later
+ * cache.close();
+ */
+class ContentCache {
+
+    /**
+     * Constructor
+     * @param {Object} [options]
+     * @param {Boolean} [options.watch=false] - Whether to watch cached
+     * files and directories for changes
+     */
+    constructor(options = {}){
+
+        /**
+         * Whether to watch cached files and directories for changes
+         * @type {Boolean}
+         */
+        this.watch = !!options.watch;
+
+        /**
+         * Contents of each cached file path
+         * @type {Map<String, Promise<Buffer>>}
+         */
+        this.files = new Map();
+
+        /**
+         * File paths found by each cached directory search
+         * @type {Map<String, String[]>}
+         */
+        this.directories = new Map();
+
+        /**
+         * Watchers of each cached file path or directory search
+         * @type {Map<String, FSWatcher[]>}
+         */
+        this.watchers = new Map();
+
+        /**
+         * Logger
+         * @type {Logger}
+         */
+        this.logger = new Logger("CACHE", {level: "error"});
+    }
+
+    /**
+     * Get the shared cache, creating it if necessary.
+     * The shared cache watches its files and directories.
+     * @returns {ContentCache}
+     */
+    static getShared(){
+        if(!ContentCache.shared){
+            ContentCache.shared = new ContentCache({watch: true});
+        }
+        return ContentCache.shared;
+    }
+
+    /**
+     * Read a file, or get its cached contents.
+     * A file that fails to be read is not cached.
+     * @param {String} path
+     * @returns {Promise<Buffer>}
+     */
+    readFile(path){
+        path = Path.resolve(path);
+        let contents = this.files.get(path);
+        if(!contents){
+            contents = Fs.promises.readFile(path);
+            this.files.set(path, contents);
+            contents
+                .then(() => {
+                    // The file may have been invalidated while it was read
+                    if(this.files.get(path) === contents){
+                        this.watchPaths(path, [path]);
+                    }
+                })
+                .catch(() => {
+                    if(this.files.get(path) === contents){
+                        this.files.delete(path);
+                    }
+                });
+        }
+        return contents;
+    }
+
+    /**
+     * Search for files that match a glob pattern,
+     * or get the cached result of the search.
+     * @param {String} pattern - Glob pattern
+     * @param {Object} [options] - Options for the glob module
+     * @returns {String[]} File paths
+     */
+    getFiles(pattern, options = {}){
+        let resolved = Path.resolve(options.cwd || ".", pattern);
+        let key = `${resolved}\n${JSON.stringify(options)}`;
+        let files = this.directories.get(key);
+        if(!files){
+            files = Glob.sync(pattern, options);
+            this.directories.set(key, files);
+            let directory = this.getBaseDirectory(resolved);
+            if(!resolved.includes("**")){
+                this.watchPaths(key, [directory]);
+            }
+            else if(recursive_watch){
+                this.watchPaths(key, [directory], true);
+            }
+            // Watch each directory that files were found in instead
+            else {
+                let directories = new Set([directory]);
+                for(let i = 0; i < files.length; i++){
+                    directories.add(Path.dirname(Path.resolve(options.cwd || ".", files[i])));
+                }
+                this.watchPaths(key, [...directories]);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Get the directory of a glob pattern before any glob characters.
+     * @param {String} pattern
+     * @returns {String}
+     */
+    getBaseDirectory(pattern){
+        let directory = Path.dirname(pattern);
+        while(Glob.hasMagic(directory) && directory !== Path.dirname(directory)){
+            directory = Path.dirname(directory);
+        }
+        return directory;
+    }
+
+    /**
+     * Watch paths, if watching is enabled, and invalidate
+     * a cache entry when anything changes in any of them.
+     * @param {String} key - Cache entry
+     * @param {String[]} paths - Files or directories to watch
+     * @param {Boolean} [recursive=false] - Whether to watch subdirectories
+     */
+    watchPaths(key, paths, recursive = false){
+        if(!this.watch || this.watchers.has(key)){
+            return;
+        }
+        let watchers = [];
+        this.watchers.set(key, watchers);
+        for(let i = 0; i < paths.length; i++){
+            try {
+                let watcher = Fs.watch(paths[i], {persistent: false, recursive}, () => {
+                    this.invalidate(key);
+                });
+                watcher.on('error', () => {
+                    this.invalidate(key);
+                });
+                watchers.push(watcher);
+            }
+            catch(error){
+                this.logger.error(`Failed to watch ${paths[i]}`);
+                this.logger.error(error);
+            }
+        }
+    }
+
+    /**
+     * Invalidate a cached file or directory search.
+     * Its watcher is closed, as a file that is replaced is a new file,
+     * and a new one is created when the entry is cached again.
+     * @param {String} key - Resolved file path, or directory search
+     */
+    invalidate(key){
+        this.files.delete(key);
+        this.directories.delete(key);
+        let watchers = this.watchers.get(key);
+        if(watchers){
+            watchers.forEach((watcher) => watcher.close());
+            this.watchers.delete(key);
+        }
+        this.logger.debug(`Invalidated ${key}`);
+    }
+
+    /**
+     * Clear the cache and close all watchers.
+     */
+    close(){
+        for(let watchers of this.watchers.values()){
+            watchers.forEach((watcher) => watcher.close());
+        }
+        this.watchers.clear();
+        this.files.clear();
+        this.directories.clear();
+    }
+}
+
+/**
+ * Cache shared by DataTransforms created with the cache option set to true
+ * @type {ContentCache}
+ */
+ContentCache.shared = null;
+
+module.exports = ContentCache;
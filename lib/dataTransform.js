@@ -1,7 +1,13 @@
-const {Transform} = require('stream');
+const {Transform, pipeline} = require('stream');
 const Fs = require('fs');
+const Path = require('path');
 const Logger = require('@voliware/logger');
 const Modifier = require('./modifier');
+const Matcher = require('./matcher');
+const ContentCache = require('./contentCache');
+const Config = require('./config');
+const DataTransformError = require('./dataTransformError');
+const Compression = require('./compression');
 
 /**
  * A transform that modifies stream data with Modifier objects.
@@ -16,46 +22,395 @@ class DataTransform extends Transform {
      * before processing. If false, chunks will be processed and sent down stream as
      * they arrive. 
      * @param {Modifier[]} [options.modifiers]
+     * @param {Number} [options.maxMatchLength=1024] - The longest that a
+     * regular expression match can be, unless the modifier sets its own. 
+     * When chunks are processed as they arrive, this many values are held
+     * back at the end of each chunk until more data arrives.
+     * @param {Boolean|ContentCache} [options.cache=false] - Cache to read 
+     * file and directory contents with, or true to use the shared cache.
+     * Without a cache, files are read and streamed at every match.
+     * @param {Boolean} [options.dryRun=false] - If true, data passes through
+     * unchanged, and the edits that the modifiers would make are emitted
+     * in an edits event when the stream ends.
+     * @param {Object} [options.vars] - Variables of template contents. The
+     * object is kept, so it can be updated between streams.
+     * @param {String} [options.missingVars="leave"] - What to do with a 
+     * template placeholder whose variable is missing. "leave" leaves the 
+     * placeholder, "empty" removes it, and "error" is an error of the 
+     * modifier, whose contents are skipped.
+     * @param {String} [options.overlap="order"] - How to choose between 
+     * matches that overlap. "order" takes the match that starts first, and 
+     * of those the first modifier added. "longest" takes the match that 
+     * starts first, and of those the longest. "priority" takes the match of
+     * the modifier with the highest priority, even over a match that starts
+     * before it, and of those the one that starts first.
+     * @param {Boolean} [options.strict=false] - If true, contents that can't
+     * be written, such as a missing file, and other errors of modifiers, 
+     * such as an unterminated range, destroy the stream with an error.
+     * Otherwise they are skipped, and the error is emitted in a warning
+     * event.
+     * @param {Number} [options.maxBufferSize=0] - The most bytes to buffer
+     * when concatenating chunks, or 0 for no limit
+     * @param {String} [options.bufferLimit="error"] - What to do when more
+     * than maxBufferSize bytes would be buffered. "error" causes a stream 
+     * error, and "stream" processes the buffered chunks, and every chunk 
+     * after them, as they arrive, just as if concat was false.
+     * @param {Boolean} [options.lines=false] - If true, chunks are processed
+     * in whole lines as they arrive. This is also the case when any modifier
+     * acts on lines or is anchored to lines.
+     * @param {Boolean} [options.scopeInserted=false] - Whether scope 
+     * markers in inserted contents open and close scopes, just like scope
+     * markers in the data. Inserted contents are then read whole instead 
+     * of being streamed.
+     * @param {String} [options.decompress] - Compression of the input, which
+     * is decompressed before it is transformed. Either "gzip", "deflate", 
+     * "br", or "auto" to detect gzip or deflate from the first bytes of the
+     * input, and to pass input through as is if it is not compressed.
+     * @param {String} [options.compress] - Compression of the output. Either
+     * "gzip", "deflate", "br", or "auto" to compress the output just like 
+     * the input was.
+     * @param {Boolean} [options.include=false] - If true, file and directory
+     * contents are transformed by the same modifiers before they are 
+     * inserted, just like files of include modifiers always are
+     * @param {Number} [options.maxIncludeDepth=8] - How deep included files 
+     * can be nested, or 0 to not include files
+     * @param {String} [options.baseDirectory=process.cwd()] - Directory 
+     * that the paths of include directives are resolved from. Included 
+     * files must be inside of it.
      */
     constructor(options = {}) {
         super(options);
 
+        /**
+         * Options the transform was created with, to create clones with
+         * @type {Object}
+         */
+        this.options = Object.assign({}, options, {modifiers: undefined});
+
         /**
          * Whehter to concat all chunks as they arrive before modifications.
          * @type {Boolean}
          */
         this.concat = (typeof options.concat !== "undefined") ? options.concat : true;
 
+        /**
+         * The longest that a regular expression match can be
+         * @type {Number}
+         */
+        this.max_match_length = typeof options.maxMatchLength !== "undefined" ? options.maxMatchLength : 1024;
+        if(!Number.isInteger(this.max_match_length) || this.max_match_length < 1){
+            throw new Error(`Invalid maxMatchLength option ${this.max_match_length}`);
+        }
+
+        /**
+         * The most bytes to buffer when concatenating chunks, or 0
+         * @type {Number}
+         */
+        this.max_buffer_size = options.maxBufferSize || 0;
+
+        /**
+         * What to do when the buffer would exceed its size.
+         * Either "error" or "stream".
+         * @type {String}
+         */
+        this.buffer_limit = options.bufferLimit || "error";
+        if(!["error", "stream"].includes(this.buffer_limit)){
+            throw new Error(`Invalid bufferLimit option ${this.buffer_limit}`);
+        }
+
+        /**
+         * Compression of the input, or "auto"
+         * @type {String|null}
+         */
+        this.decompress = options.decompress || null;
+        if(this.decompress && this.decompress !== "auto" && !Compression.isSupported(this.decompress)){
+            throw new Error(`Invalid decompress option ${this.decompress}`);
+        }
+
+        /**
+         * Compression of the output, or "auto"
+         * @type {String|null}
+         */
+        this.compress = options.compress || null;
+        if(this.compress && this.compress !== "auto" && !Compression.isSupported(this.compress)){
+            throw new Error(`Invalid compress option ${this.compress}`);
+        }
+
+        /**
+         * Compression that the input was found to have
+         * @type {String|null}
+         */
+        this.coding = null;
+
+        /**
+         * Stream that decompresses the input. Null until it is created,
+         * and false if the input is not compressed.
+         * @type {Transform|Boolean|null}
+         */
+        this.decoder = null;
+
+        /**
+         * Stream that compresses the output. Null until it is created,
+         * and false if the output is not compressed.
+         * @type {Transform|Boolean|null}
+         */
+        this.encoder = null;
+
+        /**
+         * Transforms of decompressed data, in order
+         * @type {Promise}
+         */
+        this.decoding = Promise.resolve();
+
+        /**
+         * First bytes of the input, held until there are enough of them to
+         * detect its compression
+         * @type {Buffer|null}
+         */
+        this.encoded_head = null;
+
+        /**
+         * Input detected as deflate data, held until it decompresses to 
+         * something. Text can start with a valid zlib header by chance, so 
+         * if it fails to decompress first, it is transformed as it is.
+         * @type {Buffer[]|null}
+         */
+        this.undecoded = null;
+
+        /**
+         * Whether file and directory contents are transformed
+         * @type {Boolean}
+         */
+        this.include_contents = !!options.include;
+
+        /**
+         * How deep included files can be nested, or 0 to not include files
+         * @type {Number}
+         */
+        this.max_include_depth = typeof options.maxIncludeDepth !== "undefined" ? options.maxIncludeDepth : 8;
+        if(!Number.isInteger(this.max_include_depth) || this.max_include_depth < 0){
+            throw new Error(`Invalid maxIncludeDepth option ${this.max_include_depth}`);
+        }
+
+        /**
+         * Directory that include directive paths are resolved from
+         * @type {String}
+         */
+        this.base_directory = Path.resolve(options.baseDirectory || process.cwd());
+
+        /**
+         * Paths of the files that include the data of this transform, 
+         * outermost first
+         * @type {String[]}
+         */
+        this.include_chain = [];
+
+        /**
+         * Whether to process chunks in whole lines
+         * @type {Boolean}
+         */
+        this.lines = !!options.lines;
+
+        /**
+         * Whether the next chunk to process starts at the start of a line
+         * @type {Boolean}
+         */
+        this.line_start = true;
+
+        /**
+         * Whether scope markers in inserted contents open and close scopes
+         * @type {Boolean}
+         */
+        this.scope_inserted = !!options.scopeInserted;
+
+        /**
+         * Number of bytes read but not yet processed. When concatenating,
+         * these are the buffered chunks. Otherwise, this is the data held
+         * back at the end of the last chunk.
+         * @type {Number}
+         */
+        this.buffered_size = 0;
+
         /**
          * Final data of modified chunks
          * @type {Buffer}
          */
         this.data = Buffer.from([]);
 
+        /**
+         * Chunks received so far when concatenating, 
+         * which are concatenated once when the stream ends
+         * @type {Buffer[]}
+         */
+        this.buffered_chunks = [];
+
+        /**
+         * Whether to pass data through unchanged and only record edits
+         * @type {Boolean}
+         */
+        this.dry_run = !!options.dryRun;
+
+        /**
+         * Edits recorded in a dry run
+         * @type {Object[]}
+         */
+        this.edits = [];
+
+        /**
+         * Number of edits that a new edit can not be merged into
+         * @type {Number}
+         */
+        this.edit_floor = 0;
+
+        /**
+         * Line and column of an offset in the stream, which only moves 
+         * forward as chunks are processed
+         * @type {{offset: Number, line: Number, column: Number}}
+         */
+        this.position = {offset: 0, line: 1, column: 1};
+
+        /**
+         * Original data before the chunk being processed, as much as the
+         * largest compare window
+         * @type {Buffer}
+         */
+        this.history = Buffer.from([]);
+
+        /**
+         * Chunk being processed, and its offset in the stream
+         * @type {Buffer}
+         */
+        this.current_chunk = null;
+        this.current_offset = 0;
+
         /**
          * Number of chunks processed
          * @type {Number}
          */
         this.chunk_count = 0;
 
+        /**
+         * Number of bytes read from the stream
+         * @type {Number}
+         */
+        this.bytes_read = 0;
+
+        /**
+         * Number of bytes pushed downstream
+         * @type {Number}
+         */
+        this.bytes_written = 0;
+
+        /**
+         * Time spent processing chunks, in nanoseconds
+         * @type {BigInt}
+         */
+        this.process_time = 0n;
+
         /**
          * Possible leftover data from last chunk process
          * @type {Buffer}
          */
         this.leftover_data = null;
 
+        /**
+         * Variables of template contents
+         * @type {Object}
+         */
+        this.vars = options.vars || {};
+
+        /**
+         * What to do with a template placeholder whose variable is missing.
+         * Either "leave", "empty", or "error".
+         * @type {String}
+         */
+        this.missing_vars = options.missingVars || "leave";
+        if(!["leave", "empty", "error"].includes(this.missing_vars)){
+            throw new Error(`Invalid missingVars option ${this.missing_vars}`);
+        }
+
+        /**
+         * How to choose between matches that overlap.
+         * Either "order", "longest", or "priority".
+         * @type {String}
+         */
+        this.overlap = options.overlap || "order";
+        if(!["order", "longest", "priority"].includes(this.overlap)){
+            throw new Error(`Invalid overlap option ${this.overlap}`);
+        }
+
+        /**
+         * Whether contents that can't be written cause a stream error
+         * @type {Boolean}
+         */
+        this.strict = !!options.strict;
+
+        /**
+         * Cache of file and directory contents
+         * @type {ContentCache}
+         */
+        this.cache = options.cache === true 
+            ? ContentCache.getShared() 
+            : (options.cache || null);
+
         /**
          * Array of Modifier objects
          * @type {Array<Modifier>}
          */
         this.modifiers = options.modifiers || [];
 
+        /**
+         * Modifiers that are disabled
+         * @type {Set<Modifier>}
+         */
+        this.disabled = new Set();
+
+        /**
+         * Whether the modifiers have changed since the matcher was built.
+         * Changes apply when the next chunk is processed.
+         * @type {Boolean}
+         */
+        this.modifiers_changed = false;
+
+        /**
+         * Modifiers that were removed or disabled, whose open range or 
+         * split segment is released when the changes apply
+         * @type {Modifier[]}
+         */
+        this.released_modifiers = [];
+
+        /**
+         * Matcher of the enabled modifiers, built when a chunk is processed
+         * @type {Matcher}
+         */
+        this.matcher = null;
+
         /**
          * End position of a chunk of the last match
          * @type {Number}
          */
         this.end_of_last_match = 0;
 
+        /**
+         * State kept for each Modifier while the stream is processed,
+         * such as the open split segment of a "split" modifier
+         * @type {Map<Modifier, Object>}
+         */
+        this.modifier_state = new Map();
+
+        /**
+         * Range modifier whose range is currently open. Only one range can 
+         * be open at a time.
+         * @type {Modifier}
+         */
+        this.open_range = null;
+
+        /**
+         * Resolves a wait for the readable side to want more data
+         * @type {Function}
+         */
+        this.read_waiter = null;
+
         /**
          * Logger
          * @type {Logger}
@@ -63,341 +418,2348 @@ class DataTransform extends Transform {
         this.logger = new Logger("DATA", {level: "error"});
     }
 
+    /**
+     * Create a DataTransform from a declarative config, such as one read
+     * from a JSON file.
+     * @param {Object} config - See Config
+     * @param {Object} [options]
+     * @param {String} [options.baseDirectory=process.cwd()] - Directory 
+     * that relative file and directory paths are resolved from
+     * @throws {Error} If the config is not valid. The error has the path
+     * of the bad entry.
+     * @returns {DataTransform}
+     */
+    static fromConfig(config, options){
+        return new DataTransform(new Config(config, options).toOptions());
+    }
+
+    /**
+     * Create a new transform with the same options and modifiers, and 
+     * none of the state of this stream. Modifiers hold no stream state, 
+     * so they are shared, along with the matcher built from them.
+     * @param {Object} [options] - Options to change
+     * @returns {DataTransform}
+     */
+    clone(options = {}){
+        let transform = new DataTransform(Object.assign({}, this.options, options, {
+            modifiers: this.modifiers.slice()
+        }));
+        for(let modifier of this.disabled){
+            transform.disabled.add(modifier);
+        }
+        if(!this.modifiers_changed){
+            transform.matcher = this.matcher;
+        }
+        return transform;
+    }
+
+    /**
+     * Get a function that creates clones of this transform, such as for
+     * each response that an HttpTransform transforms.
+     * @returns {Function} Function that returns a new DataTransform
+     */
+    factory(){
+        return () => {
+            return this.clone();
+        };
+    }
+
     /**
      * Add a data modifier
      * @param {Modifier} modifier
      * @returns {DataTransform}
      */
     modify(modifier){
-        this.modifiers.push(modifier);
+        return this.insertModifier(modifier, this.modifiers.length);
+    }
+
+    /**
+     * Get the index of a modifier.
+     * @param {Modifier|Number} modifier - Modifier or its index
+     * @throws {Error} If the modifier is not one of this transform
+     * @returns {Number}
+     */
+    getModifierIndex(modifier){
+        let index = typeof modifier === "number" ? modifier : this.modifiers.indexOf(modifier);
+        if(!this.modifiers[index]){
+            throw new Error("The modifier is not one of this transform");
+        }
+        return index;
+    }
+
+    /**
+     * Insert a modifier before the modifier at an index.
+     * Modifiers that were added first win ties between matches.
+     * Mid-stream, the modifier acts from the next chunk that is processed,
+     * including data held back from the last chunk, which may hold the 
+     * start of a match.
+     * @param {Modifier} modifier
+     * @param {Number} [index] - Defaults to the end
+     * @returns {DataTransform}
+     */
+    insertModifier(modifier, index = this.modifiers.length){
+        this.modifiers.splice(index, 0, modifier);
+        this.disabled.delete(modifier);
+        this.modifiers_changed = true;
+        return this;
+    }
+
+    /**
+     * Remove a modifier.
+     * Mid-stream, the modifier acts until the next chunk is processed. A 
+     * match of it that straddles the last chunk is not completed. An open
+     * range or split segment of it ends as though the stream ended, 
+     * according to its unterminated option.
+     * @param {Modifier|Number} modifier - Modifier or its index
+     * @throws {Error} If the modifier is not one of this transform
+     * @returns {DataTransform}
+     */
+    removeModifier(modifier){
+        let index = this.getModifierIndex(modifier);
+        modifier = this.modifiers[index];
+        this.modifiers.splice(index, 1);
+        this.disabled.delete(modifier);
+        this.released_modifiers.push(modifier);
+        this.modifiers_changed = true;
+        return this;
+    }
+
+    /**
+     * Disable a modifier, just like removing it, but keeping its place,
+     * its statistics, and its occurrence counts.
+     * @param {Modifier|Number} modifier - Modifier or its index
+     * @throws {Error} If the modifier is not one of this transform
+     * @returns {DataTransform}
+     */
+    disable(modifier){
+        modifier = this.modifiers[this.getModifierIndex(modifier)];
+        if(!this.disabled.has(modifier)){
+            this.disabled.add(modifier);
+            this.released_modifiers.push(modifier);
+            this.modifiers_changed = true;
+        }
+        return this;
+    }
+
+    /**
+     * Enable a disabled modifier.
+     * Mid-stream, the modifier acts from the next chunk that is processed.
+     * @param {Modifier|Number} modifier - Modifier or its index
+     * @throws {Error} If the modifier is not one of this transform
+     * @returns {DataTransform}
+     */
+    enable(modifier){
+        modifier = this.modifiers[this.getModifierIndex(modifier)];
+        if(this.disabled.delete(modifier)){
+            this.modifiers_changed = true;
+        }
         return this;
     }
 
+    /**
+     * Apply changes to the modifiers, between chunks.
+     * Open ranges and split segments of modifiers that were removed or 
+     * disabled are released, just like when the stream ends.
+     * @throws {DataTransformError} If a released range or segment should
+     * cause an error, in strict mode
+     * @returns {Buffer} Data of released ranges to send downstream
+     */
+    applyModifierChanges(){
+        let data = [];
+        if(!this.modifiers_changed){
+            return Buffer.from(data);
+        }
+        this.modifiers_changed = false;
+        this.matcher = null;
+        let released = this.released_modifiers;
+        this.released_modifiers = [];
+        for(let i = 0; i < released.length; i++){
+            const modifier = released[i];
+            let removed = !this.modifiers.includes(modifier);
+            // Enabled or added again before the changes applied
+            if(!removed && !this.disabled.has(modifier)){
+                continue;
+            }
+            if(this.open_range === modifier){
+                data.push(this.flushRange());
+            }
+            if(modifier.action === "split"){
+                this.flushSplit(modifier);
+            }
+            if(removed){
+                this.modifier_state.delete(modifier);
+            }
+        }
+        return Buffer.concat(data);
+    }
+
     /**
      * Add an append data modifier.
      * Appends data after the match if found.
-     * @param {Buffer|String} match - Buffer or string to match with
+     * @param {Buffer|RegExp|String} match - Buffer, string, or regular 
+     * expression to match with
      * @param {Object|Object[]} contents 
      * @param {Buffer} [contents.buffer] - Buffer of data
      * @param {String} [contents.file] - Readable file path
+     * @param {Function} [contents.fn] - Function that returns data
      * @param {String} [contents.string] - String data
+     * @param {Object} [options] - Modifier options
      * @returns {DataTransform}
      */
-    append(match, contents){
-        let modifier = new Modifier("append", match, contents);
+    append(match, contents, options){
+        let modifier = new Modifier("append", match, contents, options);
         return this.modify(modifier);
     }
 
     /**
      * Add a compare data modifier.
-     * Emits an event "compare" if match is found.
-     * @param {Buffer|String} match - Buffer or string to match with
+     * Emits an event "compare" if match is found. The event has the 
+     * modifier, the match, its offset in the stream, its line and column,
+     * the bytes around it, and captures for regular expressions.
+     * A hook can decide what to do with each match.
+     * @param {Buffer|RegExp|String} match - Buffer, string, or regular 
+     * expression to match with
+     * @param {Function} [hook] - Function that is passed the event of each
+     * match, and returns or resolves "keep", "erase", or {replace: contents},
+     * where contents are a string, a buffer, or contents objects
+     * @param {Object} [options] - Modifier options
+     * @param {Number} [options.window=0] - How many bytes before and after
+     * the match to include in the event
      * @returns {DataTransform}
      */
-    compare(match){
-        let modifier = new Modifier("compare", match);
+    compare(match, hook, options){
+        if(typeof hook !== "function"){
+            options = hook;
+            hook = null;
+        }
+        if(hook){
+            options = Object.assign({}, options, {hook});
+        }
+        let modifier = new Modifier("compare", match, null, options);
         return this.modify(modifier);
     }
 
     /**
      * Add an erase data modifier.
      * Erases the matched data if found.
-     * @param {Buffer|String} match - Buffer or string to match with
+     * @param {Buffer|RegExp|String} match - Buffer, string, or regular 
+     * expression to match with
+     * @param {Object} [options] - Modifier options
      * @returns {DataTransform}
      */
-    erase(match){
-        let modifier = new Modifier("erase", match);
+    erase(match, options){
+        let modifier = new Modifier("erase", match, null, options);
         return this.modify(modifier);
     }
 
     /**
      * Add a prepend data modifier.
      * Prepends data before the match if found.
-     * @param {Buffer|String} match - Buffer or string to match with
+     * @param {Buffer|RegExp|String} match - Buffer, string, or regular 
+     * expression to match with
      * @param {Object|Object[]} contents 
      * @param {Buffer} [contents.buffer] - Buffer of data
      * @param {String} [contents.file] - Readable file path
+     * @param {Function} [contents.fn] - Function that returns data
      * @param {String} [contents.string] - String data
+     * @param {Object} [options] - Modifier options
      * @returns {DataTransform}
      */
-    prepend(match, contents){
-        let modifier = new Modifier("prepend", match, contents);
+    prepend(match, contents, options){
+        let modifier = new Modifier("prepend", match, contents, options);
         return this.modify(modifier);
     }
 
     /**
      * Add a replace data modifier
-     * @param {Buffer|String} match - Buffer or string to match with
+     * @param {Buffer|RegExp|String} match - Buffer, string, or regular 
+     * expression to match with
      * @param {Object|Object[]} contents 
      * @param {Buffer} [contents.buffer] - Buffer of data
      * @param {String} [contents.file] - Readable file path
+     * @param {Function} [contents.fn] - Function that returns data
      * @param {String} [contents.string] - String data
+     * @param {Object} [options] - Modifier options
      * @returns {DataTransform}
      */
-    replace(match, contents){
-        let modifier = new Modifier("replace", match, contents);
+    replace(match, contents, options){
+        let modifier = new Modifier("replace", match, contents, options);
         return this.modify(modifier);
     }
 
     /**
-     * Splits data in a stream using delimiters
-     * @param {Buffer|Object|String} match - Buffer or string to match with,
-     * or a set of start/end delimeters
+     * Add a split data modifier.
+     * Splits data in a stream using delimiters. With a single delimiter, 
+     * the data between each delimiter is a segment. With a set of start/end
+     * delimiters, the data between each start and end is a segment, and
+     * data outside of them is discarded. Each segment is emitted in a 
+     * "split" event, and by default pushed downstream as a separate chunk.
+     * @param {Buffer|Object|RegExp|String} match - Buffer, string, or regular
+     * expression to match with, or a set of start/end delimeters
+     * @param {Buffer|RegExp|String} [match.start] - Start delimiter
+     * @param {Buffer|RegExp|String} [match.end] - End delimiter
+     * @param {Object} [options]
+     * @param {Boolean} [options.push=true] - Whether to push each segment
+     * downstream as a separate chunk. If false, data passes through unchanged.
      * @returns {DataTransform}
      */
-    split(match){
-        let modifier = new Modifier("split", match);
+    split(match, options){
+        let modifier = new Modifier("split", match, null, options);
         return this.modify(modifier);
     }
 
     /**
-     * Append to a buffer from a file.
-     * @param {Buffer} buffer 
-     * @param {String} filepath 
-     * @returns {Promise}
+     * Add an erase between data modifier.
+     * Erases the data between a start and an end marker, and the markers 
+     * themselves unless keepMarkers is set.
+     * @param {Buffer|RegExp|String} start - Start marker
+     * @param {Buffer|RegExp|String} end - End marker
+     * @param {Object} [options] - Modifier options
+     * @param {Boolean} [options.keepMarkers=false] - Whether to keep the markers
+     * @param {String} [options.unterminated="drop"] - What to do with a 
+     * range that never ends, "drop", "keep", or "error"
+     * @returns {DataTransform}
      */
-    appendFromFile(buffer, filepath){
-        let readable = Fs.createReadStream(filepath);
-        return new Promise((resolve, reject) => {
-            readable.on('data', async (chunk) => {
-                let length = buffer.length + chunk.length;
-                buffer = Buffer.concat([buffer, chunk], length);
-            });
-            readable.on('end', () => {
-                resolve(buffer);
-            });
-            readable.on('error', (e) => {
-                reject(e);
-            });
-        });
+    eraseBetween(start, end, options){
+        let modifier = new Modifier("eraseBetween", {start, end}, null, options);
+        return this.modify(modifier);
     }
 
     /**
-     * Transform a chunk.
-     * If concat is true, all chunks will be concatenated before they are 
-     * processed. Otherwise, chunks are processed as they are received.
-     * @param {Buffer|String|Any} chunk 
-     * @param {String} encoding 
-     * @param {Function} callback 
-     * @async
+     * Add an extract between data modifier.
+     * Only the data between a start and an end marker is kept, with the 
+     * markers themselves if keepMarkers is set. Data outside of the range
+     * of any extract modifier is discarded.
+     * @param {Buffer|RegExp|String} start - Start marker
+     * @param {Buffer|RegExp|String} end - End marker
+     * @param {Object} [options] - Modifier options
+     * @param {Boolean} [options.keepMarkers=false] - Whether to keep the markers
+     * @param {String} [options.unterminated="drop"] - What to do with a 
+     * range that never ends, "drop", "keep", or "error"
+     * @returns {DataTransform}
      */
-    async _transform(chunk, encoding, callback){
-        // New chunk of data
-        this.chunk_count++;
-        this.logger.debug(`Read chunk ${this.chunk_count} with length ${chunk.length}`);
-        this.logger.verbose("Printing original chunk:\n" + chunk.toString());
+    extractBetween(start, end, options){
+        let modifier = new Modifier("extractBetween", {start, end}, null, options);
+        return this.modify(modifier);
+    }
 
-        if(this.concat){
-            let length = this.data.length + chunk.length;
-            this.data = Buffer.concat([this.data, chunk], length);
-            callback();
-        }
-        else {
-            // If there was leftover data, prepend it to this chunk
-            if(this.leftover_data){
-                this.logger.debug(`Prepended leftover data`);
-                let length = this.leftover_data.length + chunk.length;
-                chunk = Buffer.concat([this.leftover_data, chunk], length);
-                this.leftover_data = null;
-            }
-            chunk = await this.processChunk(chunk);
-            this.logger.verbose("Printing modified chunk:\n" + chunk.toString());
-            this.last_chunk = chunk;
-            callback(null, chunk);
-        }
+    /**
+     * Add a replace between data modifier.
+     * Replaces the data between a start and an end marker, and the markers 
+     * themselves unless keepMarkers is set.
+     * @param {Buffer|RegExp|String} start - Start marker
+     * @param {Buffer|RegExp|String} end - End marker
+     * @param {Object|Object[]} contents 
+     * @param {Object} [options] - Modifier options
+     * @param {Boolean} [options.keepMarkers=false] - Whether to keep the markers
+     * @param {String} [options.unterminated="drop"] - What to do with a 
+     * range that never ends, "drop", "keep", or "error"
+     * @returns {DataTransform}
+     */
+    replaceBetween(start, end, contents, options){
+        let modifier = new Modifier("replaceBetween", {start, end}, contents, options);
+        return this.modify(modifier);
     }
 
     /**
-     * Flush data.
-     * Called when read stream ends.
-     * If concat is true, this is where the processing occurs.
-     * @param {Function} callback 
+     * Add a drop line data modifier.
+     * Erases each line that the match starts in, with its line end.
+     * @param {Buffer|RegExp|String} match - Buffer, string, or regular 
+     * expression to match with
+     * @param {Object} [options] - Modifier options
+     * @param {String} [options.anchor] - Only match at a line "start", 
+     * "end", or a whole "line"
+     * @returns {DataTransform}
      */
-    async _flush(callback){
-        if(this.concat){
-            this.data = await this.processChunk(this.data);
-            this.logger.verbose("Printing modified chunk:\n" + this.data.toString());
-            callback(null, this.data);
-        }
-        else {
-            callback();
-        }
+    dropLine(match, options){
+        let modifier = new Modifier("dropLine", match, null, options);
+        return this.modify(modifier);
     }
 
     /**
-     * Modify a chunk with a modifier.
-     * Async as it may read from a file stream.
-     * @param {Buffer|String|Any} chunk 
-     * @param {Object} modifier 
-     * @param {Object|Object[]} modifier.contents 
+     * Add a prefix line data modifier.
+     * Writes contents at the start of each line that the match starts in.
+     * @param {Buffer|RegExp|String} match - Buffer, string, or regular 
+     * expression to match with
+     * @param {Object|Object[]} contents 
+     * @param {Object} [options] - Modifier options
+     * @param {String} [options.anchor] - Only match at a line "start", 
+     * "end", or a whole "line"
+     * @returns {DataTransform}
+     */
+    prefixLine(match, contents, options){
+        let modifier = new Modifier("prefixLine", match, contents, options);
+        return this.modify(modifier);
+    }
+
+    /**
+     * Add a suffix line data modifier.
+     * Writes contents at the end of each line that the match starts in,
+     * before its line end.
+     * @param {Buffer|RegExp|String} match - Buffer, string, or regular 
+     * expression to match with
+     * @param {Object|Object[]} contents 
+     * @param {Object} [options] - Modifier options
+     * @param {String} [options.anchor] - Only match at a line "start", 
+     * "end", or a whole "line"
+     * @returns {DataTransform}
+     */
+    suffixLine(match, contents, options){
+        let modifier = new Modifier("suffixLine", match, contents, options);
+        return this.modify(modifier);
+    }
+
+    /**
+     * Add a header modifier.
+     * Inserts contents before the data.
+     * @param {Object|Object[]} contents 
+     * @param {Object} [options] - Modifier options
+     * @returns {DataTransform}
+     */
+    header(contents, options){
+        let modifier = new Modifier("header", null, contents, options);
+        return this.modify(modifier);
+    }
+
+    /**
+     * Add a footer modifier.
+     * Inserts contents after the data.
+     * @param {Object|Object[]} contents 
+     * @param {Object} [options] - Modifier options
+     * @returns {DataTransform}
+     */
+    footer(contents, options){
+        let modifier = new Modifier("footer", null, contents, options);
+        return this.modify(modifier);
+    }
+
+    /**
+     * Add an insertAt modifier.
+     * Inserts contents at an offset of the original data, or after the 
+     * data if it is shorter.
+     * @param {Number} offset 
+     * @param {Object|Object[]} contents 
+     * @param {Object} [options] - Modifier options
+     * @returns {DataTransform}
+     */
+    insertAt(offset, contents, options = {}){
+        let modifier = new Modifier("insertAt", null, contents, Object.assign({}, options, {offset}));
+        return this.modify(modifier);
+    }
+
+    /**
+     * Add an eraseRange modifier.
+     * Erases a number of bytes from an offset of the original data. Just 
+     * like a range between markers, other modifiers do not act on the
+     * erased data.
+     * @param {Number} offset 
+     * @param {Number} length 
+     * @param {Object} [options] - Modifier options
+     * @returns {DataTransform}
+     */
+    eraseRange(offset, length, options = {}){
+        let modifier = new Modifier("eraseRange", null, null, Object.assign({}, options, {offset, length}));
+        return this.modify(modifier);
+    }
+
+    /**
+     * Add an include data modifier.
+     * Replaces each match with the file at the path that it captures, 
+     * resolved from the base directory, after transforming the file with
+     * the same modifiers. Files that are included by included files are 
+     * transformed too, up to the maxIncludeDepth option.
+     * @param {RegExp} [match=/<!--#include file="([^"]+)"\s*-->/] - 
+     * Regular expression whose first capture, or group named file, is the
+     * path of the file
+     * @param {Object} [options] - Modifier options
+     * @returns {DataTransform}
+     */
+    include(match, options){
+        let modifier = new Modifier("include", match, null, options);
+        return this.modify(modifier);
+    }
+
+    /**
+     * Get the stream state of a modifier, creating it if necessary.
+     * @param {Modifier} modifier 
+     * @returns {Object}
+     */
+    getModifierState(modifier){
+        let state = this.modifier_state.get(modifier);
+        if(!state){
+            state = {
+                // Whether a split segment is currently open.
+                // Single delimiter splits are always open.
+                open: !modifier.end && !modifier.isRange(),
+                // Data of the open segment from previous chunks
+                data: Buffer.from([]),
+                // Position in the output pieces where the segment began
+                offset: 0,
+                // Number of occurrences found so far
+                count: 0,
+                // Number of occurrences acted on so far
+                applied: 0,
+                // Offset in the stream of the end of the last occurrence
+                // that was skipped
+                skip_until: 0,
+                // Offset in the stream where the open range or start/end
+                // split segment began
+                range_start: 0,
+                // Original data of the open range, to keep if it never ends
+                pending: [],
+                // Number of bytes of contents written
+                inserted: 0,
+                // Number of bytes of data removed
+                removed: 0,
+                // Number of edits recorded before the open range began
+                edit_index: 0,
+                // Line and column where the open range began
+                range_position: null,
+                // Number of scope start markers that have not been closed
+                scope_depth: 0
+            };
+            this.modifier_state.set(modifier, state);
+        }
+        return state;
+    }
+
+    /**
+     * Get statistics of the data processed so far.
+     * Bytes removed by a modifier include matches it replaced or erased,
+     * and range markers and data that it discarded. Data outside of
+     * extracted ranges is not counted for any modifier.
+     * @returns {{bytesIn: Number, bytesOut: Number, chunks: Number, 
+     * time: Number, modifiers: Object[]}} Time is in milliseconds. Each 
+     * modifier has the modifier, its action, and its number of matches, 
+     * applied matches, and bytes inserted and removed.
+     */
+    stats(){
+        return {
+            bytesIn: this.bytes_read,
+            bytesOut: this.bytes_written,
+            chunks: this.chunk_count,
+            time: Number(this.process_time) / 1e6,
+            modifiers: this.modifiers.map((modifier) => {
+                let state = this.getModifierState(modifier);
+                return {
+                    modifier,
+                    action: modifier.action,
+                    matches: state.count,
+                    applied: state.applied,
+                    inserted: state.inserted,
+                    removed: state.removed
+                };
+            })
+        };
+    }
+
+    /**
+     * Get the matcher of the modifiers, building it if necessary.
+     * @returns {Matcher}
+     */
+    getMatcher(){
+        if(!this.matcher){
+            this.matcher = new Matcher(this.modifiers.filter((modifier) => {
+                return !this.disabled.has(modifier);
+            }));
+        }
+        return this.matcher;
+    }
+
+    /**
+     * Check if data is currently removed by a range.
+     * That is inside an erase or replace range, or outside of any extract
+     * range if there are extract modifiers.
+     * @returns {Boolean}
+     */
+    isInRemovedRange(){
+        if(this.open_range){
+            return this.open_range.action !== "extractBetween";
+        }
+        return this.getMatcher().actions.has("extractBetween");
+    }
+
+    /**
+     * Check if a pattern of a modifier is currently looked for.
+     * A start/end split looks for the end delimiter if a segment is open,
+     * otherwise for the start delimiter. Range modifiers look for their 
+     * start markers when no range is open, otherwise the open range looks
+     * for its end marker. Other modifiers are not looked for where data is
+     * removed by a range.
+     * @param {Object} pattern - Pattern of a Matcher
+     * @returns {Boolean}
+     */
+    isPatternActive(pattern){
+        const modifier = pattern.modifier;
+        if(modifier.isRange()){
+            if(this.open_range){
+                return this.open_range === modifier && pattern.role === "end";
+            }
+            return pattern.role === "start";
+        }
+        if(this.isInRemovedRange()){
+            return false;
+        }
+        if(pattern.role === "match"){
+            return true;
+        }
+        let open = this.getModifierState(modifier).open;
+        return (pattern.role === "end") === open;
+    }
+
+    /**
+     * Get the next match to handle when overlapping matches are resolved
+     * by length or priority.
+     * Matches are taken from the scan into a list of pending matches, in 
+     * order of where they start. Of the pending matches that start first,
+     * the longest or the one with the highest priority is chosen. By 
+     * priority, it loses to an overlapping match with a higher priority,
+     * in which case it is discarded and the next match is chosen. A compare
+     * match does not modify data, so it never loses or wins. 
+     * @param {MatcherScan} scan 
+     * @param {Object[]} pending - Matches taken from the scan so far
+     * @returns {Object|null}
+     */
+    getNextMatch(scan, pending){
+        const cursor = this.end_of_last_match;
+        const take = () => {
+            let match = scan.next(cursor);
+            if(match){
+                pending.push(match);
+            }
+            return match;
+        };
+        while(true){
+            // Matches that overlap a match that modified data are passed over
+            while(pending.length && pending[0].start < cursor){
+                pending.shift();
+            }
+            if(!pending.length && !take()){
+                return null;
+            }
+            const start = pending[0].start;
+            while(pending[pending.length - 1].start === start && take());
+
+            let best = -1;
+            for(let i = 0; i < pending.length && pending[i].start === start; i++){
+                if(!this.isPatternActive(pending[i].pattern)){
+                    continue;
+                }
+                if(best === -1 || this.isBetterMatch(pending[i], pending[best])){
+                    best = i;
+                }
+            }
+            // None of the matches that start first are looked for
+            if(best === -1){
+                while(pending.length && pending[0].start === start){
+                    pending.shift();
+                }
+                continue;
+            }
+            let match = pending[best];
+            if(this.overlap === "priority" && match.pattern.modifier.action !== "compare"){
+                // A match with a higher priority may start inside this one
+                while(pending[pending.length - 1].start < match.end && take());
+                if(match.end > scan.hold){
+                    // It may not have been found yet
+                    scan.hold = match.start;
+                    return null;
+                }
+                const priority = match.pattern.modifier.priority;
+                let beaten = pending.some((other) => {
+                    return other.start > match.start 
+                        && other.start < match.end
+                        && other.pattern.modifier.priority > priority
+                        && other.pattern.modifier.action !== "compare"
+                        && this.isPatternActive(other.pattern);
+                });
+                if(beaten){
+                    pending.splice(best, 1);
+                    continue;
+                }
+            }
+            pending.splice(best, 1);
+            return match;
+        }
+    }
+
+    /**
+     * Check if a match is better than another match that starts at the 
+     * same position, according to the overlap option.
+     * @param {Object} match 
+     * @param {Object} other 
+     * @returns {Boolean}
+     */
+    isBetterMatch(match, other){
+        // An empty match overlaps nothing, so it goes first
+        let empty = match.start === match.end;
+        if(empty !== (other.start === other.end)){
+            return empty;
+        }
+        if(empty){
+            return Matcher.isFirst(match, other);
+        }
+        if(this.overlap === "longest"){
+            let length = match.end - match.start;
+            let other_length = other.end - other.start;
+            if(length !== other_length){
+                return length > other_length;
+            }
+        }
+        else if(this.overlap === "priority"){
+            let priority = match.pattern.modifier.priority;
+            let other_priority = other.pattern.modifier.priority;
+            if(priority !== other_priority){
+                return priority > other_priority;
+            }
+        }
+        return match.pattern.index < other.pattern.index;
+    }
+
+    /**
+     * Open and close scopes at the scope markers of a scan, up to a 
+     * position. Markers are applied in order, and only once.
+     * @param {MatcherScan} scan 
+     * @param {Number} position - Position in the scanned data, at or before
+     * which markers open or close their scopes
+     * @param {Number} [end=Infinity] - Markers that start at or after this
+     * position are left to be scanned again
+     */
+    updateScopes(scan, position, end = Infinity){
+        const scopes = scan.scopes;
+        for(; scan.scope_position < scopes.length; scan.scope_position++){
+            const scope = scopes[scan.scope_position];
+            if(scope.at > position){
+                break;
+            }
+            if(scope.start >= end){
+                continue;
+            }
+            let state = this.getModifierState(scope.pattern.modifier);
+            if(scope.pattern.role === "scope_start"){
+                state.scope_depth++;
+            }
+            else if(state.scope_depth){
+                state.scope_depth--;
+            }
+        }
+    }
+
+    /**
+     * Check if a modifier is in its scope, if it has one.
+     * @param {Modifier} modifier 
+     * @returns {Boolean}
+     */
+    isInScope(modifier){
+        if(!modifier.scope){
+            return true;
+        }
+        let open = this.getModifierState(modifier).scope_depth > 0;
+        return open !== modifier.scope.outside;
+    }
+
+    /**
+     * Check if a match is where its modifier's anchor says it must be in
+     * its line.
+     * @param {Buffer} chunk 
+     * @param {Object} found - Match of the scan
+     * @param {Boolean} final - Whether this is the last chunk in the stream
+     * @returns {Boolean|null} Null if the line end has not arrived yet
+     */
+    isAnchored(chunk, found, final){
+        const anchor = found.pattern.modifier.anchor;
+        const start = found.pattern.line ? found.match_start : found.start;
+        const end = found.pattern.line ? found.match_end : found.end;
+        if(anchor !== "end"){
+            let line_start = start > 0 ? chunk[start - 1] === 0x0a : this.line_start;
+            if(!line_start){
+                return false;
+            }
+        }
+        if(anchor !== "start"){
+            if(end === chunk.length){
+                return final ? true : null;
+            }
+            if(chunk[end] === 0x0d && end + 1 === chunk.length && !final){
+                return null;
+            }
+            return chunk[end] === 0x0a || (chunk[end] === 0x0d && chunk[end + 1] === 0x0a);
+        }
+        return true;
+    }
+
+    /**
+     * Write data from the chunk to the output.
+     * Data removed by a range is discarded, or saved in case the range 
+     * never ends and it should be kept.
+     * @param {Buffer[]} output - Output pieces of the chunk
+     * @param {Buffer} data 
+     * @param {Number} offset - Offset of the data in the stream
+     */
+    writeData(output, data, offset){
+        if(!data.length){
+            return;
+        }
+        if(this.isInRemovedRange()){
+            if(this.open_range){
+                let state = this.getModifierState(this.open_range);
+                state.removed += data.length;
+                if(this.open_range.unterminated === "keep"){
+                    state.pending.push(data);
+                }
+            }
+            if(this.dry_run){
+                this.recordEdit(this.open_range, offset, data, Buffer.from([]), true);
+            }
+            return;
+        }
+        output.push(data);
+    }
+
+    /**
+     * Get the line and column of an offset in the chunk being processed.
+     * Lines and columns start at 1, and columns count utf8 characters.
+     * Offsets must not be before an offset that was already looked up.
+     * @param {Number} offset - Offset in the stream
+     * @returns {{line: Number, column: Number}}
+     */
+    getPosition(offset){
+        let position = this.position;
+        const chunk = this.current_chunk;
+        let start = position.offset - this.current_offset;
+        let end = offset - this.current_offset;
+        let newline = start;
+        while(newline < end && (newline = chunk.indexOf(0x0a, newline)) !== -1 && newline < end){
+            position.line++;
+            position.column = 1;
+            newline++;
+            start = newline;
+        }
+        for(let i = start; i < end; i++){
+            // Continuation bytes are part of the previous character
+            if((chunk[i] & 0xc0) !== 0x80){
+                position.column++;
+            }
+        }
+        position.offset = Math.max(position.offset, offset);
+        return {line: position.line, column: position.column};
+    }
+
+    /**
+     * Record an edit in a dry run.
+     * @param {Modifier} modifier - Modifier that makes the edit, or null 
+     * for data outside of extracted ranges
+     * @param {Number} offset - Offset of the edit in the stream
+     * @param {Buffer} before - Original data
+     * @param {Buffer} after - Data that replaces it
+     * @param {Boolean} [merge=false] - Whether to merge the edit into the
+     * last edit of the modifier if it ends where this one begins
+     * @param {{line: Number, column: Number}} [position] - Line and column
+     * of the offset, if it was already looked up
+     */
+    recordEdit(modifier, offset, before, after, merge = false, position = null){
+        if(!before.length && !after.length){
+            return;
+        }
+        let last = this.edits[this.edits.length - 1];
+        if(merge 
+            && this.edits.length > this.edit_floor 
+            && last.modifier === modifier 
+            && last.offset + last.before.length === offset){
+            last.before = Buffer.concat([last.before, before]);
+            last.after = Buffer.concat([last.after, after]);
+            return;
+        }
+        let {line, column} = position || this.getPosition(offset);
+        this.edits.push({modifier, offset, line, column, before, after});
+    }
+
+    /**
+     * Handle a found range marker.
+     * Opens or closes the range of the modifier.
+     * @param {Buffer[]} output - Output pieces of the chunk, up to the marker
+     * @param {Modifier} modifier 
+     * @param {Object} context - Context of the match
+     * @async
+     */
+    async rangeChunk(output, modifier, context){
+        let state = this.getModifierState(modifier);
+        const extract = modifier.action === "extractBetween";
+        // Open the range
+        if(!state.open){
+            state.open = true;
+            state.range_start = context.offset;
+            state.pending = [];
+            state.data = Buffer.from([]);
+            this.open_range = modifier;
+            // Edits of the range may be undone if it never ends
+            state.edit_index = this.edits.length;
+            this.edit_floor = this.edits.length;
+            if(this.dry_run){
+                state.range_position = this.getPosition(context.offset);
+            }
+            // An extracted range may have to be dropped if it never ends,
+            // so its output is held back until it does
+            state.offset = output.length;
+            if(modifier.keep_markers){
+                output.push(context.match);
+            }
+            else if(!extract){
+                this.writeData(output, context.match, context.offset);
+            }
+            else {
+                state.removed += context.match.length;
+                if(this.dry_run){
+                    this.recordEdit(modifier, context.offset, context.match, Buffer.from([]));
+                }
+            }
+            return;
+        }
+
+        // Close the range
+        state.open = false;
+        state.pending = [];
+        this.open_range = null;
+        if(extract){
+            if(state.data.length){
+                output.splice(state.offset, 0, state.data);
+            }
+            state.data = Buffer.from([]);
+        }
+        else if(modifier.action === "replaceBetween"){
+            let index = output.length;
+            await this.writeContents(output, modifier, context);
+            if(this.dry_run){
+                let after = Buffer.concat(output.slice(index));
+                this.recordEdit(modifier, context.offset, Buffer.from([]), after, true);
+            }
+        }
+        if(modifier.keep_markers){
+            output.push(context.match);
+        }
+        else {
+            state.removed += context.match.length;
+            if(this.dry_run){
+                this.recordEdit(modifier, context.offset, context.match, Buffer.from([]), !extract);
+            }
+        }
+    }
+
+    /**
+     * Finish processing a chunk with respect to an open range.
+     * The output of an extracted range that would be dropped if it never
+     * ends is saved for the next chunk.
+     * @param {Buffer[]} output - Output pieces of the chunk
+     */
+    finishRange(output){
+        const modifier = this.open_range;
+        if(!modifier || modifier.action !== "extractBetween" || modifier.unterminated !== "drop"){
+            return;
+        }
+        let state = this.getModifierState(modifier);
+        let held = output.splice(state.offset);
+        state.data = Buffer.concat([state.data].concat(held));
+        state.offset = 0;
+    }
+
+    /**
+     * Flush a range that has not ended when the stream ends,
+     * according to the unterminated option of its modifier.
+     * A range that should cause an error is dropped, unless in strict mode.
+     * @throws {DataTransformError} If the range should cause an error, in 
+     * strict mode
+     * @returns {Buffer} Data to send downstream
+     */
+    flushRange(){
+        const modifier = this.open_range;
+        if(!modifier){
+            return Buffer.from([]);
+        }
+        let state = this.getModifierState(modifier);
+        let data = Buffer.from([]);
+        if(modifier.unterminated === "error"){
+            let message = `Unterminated range of ${this.describeModifier(modifier)} that started at offset ${state.range_start}`;
+            this.handleModifierError(message, modifier, state.range_start);
+        }
+        if(modifier.unterminated === "keep" && modifier.action !== "extractBetween"){
+            data = Buffer.concat(state.pending);
+            state.removed -= data.length;
+            // The range is not edited after all
+            this.edits.length = state.edit_index;
+        }
+        state.removed += state.data.length;
+        // An extracted range that is dropped is removed entirely
+        if(this.dry_run && modifier.action === "extractBetween" && modifier.unterminated === "drop"){
+            this.edits.length = state.edit_index;
+            let before = Buffer.concat(state.pending);
+            this.recordEdit(modifier, state.range_start, before, Buffer.from([]), false, state.range_position);
+        }
+        this.logger.debug(`Flushed unterminated ${modifier.action} range`);
+        state.open = false;
+        state.pending = [];
+        state.data = Buffer.from([]);
+        this.open_range = null;
+        return data;
+    }
+
+    /**
+     * Check if a modifier should act on its latest occurrence, 
+     * according to its occurrence options.
+     * @param {Modifier} modifier 
+     * @param {Object} state - Stream state of the modifier
+     * @returns {Boolean}
+     */
+    isOccurrenceApplied(modifier, state){
+        if(modifier.nth && state.count !== modifier.nth){
+            return false;
+        }
+        if(modifier.every && state.count % modifier.every){
+            return false;
+        }
+        if(modifier.limit && state.applied >= modifier.limit){
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get the captures of a regular expression match.
+     * The match is made against latin1 text, so captures are converted 
+     * back to their original bytes, then decoded with the modifier encoding.
+     * @param {Array} result - Result of RegExp.exec
+     * @param {Modifier} modifier
+     * @returns {{captures: Array<String|undefined>, groups: Object}}
+     */
+    getCaptures(result, modifier){
+        const decode = (value) => {
+            return typeof value === "string" 
+                ? Buffer.from(value, 'latin1').toString(modifier.encoding)
+                : value;
+        };
+        let captures = result.slice(1).map(decode);
+        let groups = undefined;
+        if(result.groups){
+            groups = {};
+            for(let name in result.groups){
+                groups[name] = decode(result.groups[name]);
+            }
+        }
+        return {captures, groups};
+    }
+
+    /**
+     * Expand a replacement string with the captures of a regular 
+     * expression match. Supports the same patterns as String.replace:
+     * $$, $&, $1-$99, and $<name>.
+     * @param {String} string 
+     * @param {Array} result - Result of RegExp.exec
+     * @param {String} [encoding="utf8"] - Encoding of the string
+     * @returns {Buffer}
+     */
+    expandString(string, result, encoding = "utf8"){
+        const pattern = /\$(\$|&|<([^>]*)>|\d{1,2})/g;
+        let buffers = [];
+        let last = 0;
+        let found;
+        while((found = pattern.exec(string))){
+            let token = found[1];
+            // Captured values are latin1 text of the original bytes
+            let value = null;
+            if(token === "$"){
+                value = Buffer.from("$", encoding);
+            }
+            else if(token === "&"){
+                value = Buffer.from(result[0], 'latin1');
+            }
+            else if(token[0] === "<"){
+                if(result.groups){
+                    value = Buffer.from(result.groups[found[2]] || "", 'latin1');
+                }
+            }
+            else {
+                let index = parseInt(token);
+                // $10 refers to $1 followed by "0" if there is no 10th group
+                if(token.length === 2 && index >= result.length){
+                    index = parseInt(token[0]);
+                    pattern.lastIndex--;
+                }
+                if(index > 0 && index < result.length){
+                    value = Buffer.from(result[index] || "", 'latin1');
+                }
+            }
+            // Unknown patterns are left as is
+            if(value){
+                buffers.push(Buffer.from(string.slice(last, found.index), encoding));
+                buffers.push(value);
+                last = pattern.lastIndex;
+            }
+        }
+        buffers.push(Buffer.from(string.slice(last), encoding));
+        return Buffer.concat(buffers);
+    }
+
+    /**
+     * Emit a split segment and push it downstream if the modifier wants to.
+     * @param {Modifier} modifier 
+     * @param {Buffer} segment 
+     */
+    emitSegment(modifier, segment){
+        this.logger.debug(`Split segment with length ${segment.length}`);
+        this.emit('split', {modifier, segment});
+        if(modifier.push && segment.length && !this.dry_run){
+            this.push(segment);
+        }
+    }
+
+    /**
+     * Handle a found split delimiter.
+     * Closes the open segment and/or opens a new one.
+     * @param {Buffer[]} output - Output pieces of the chunk, up to the delimiter
+     * @param {Modifier} modifier 
+     * @param {Object} context - Context of the match, which is the found
+     * delimiter
+     */
+    splitChunk(output, modifier, context){
+        let state = this.getModifierState(modifier);
+        let closes = state.open;
+        let opens = !modifier.end || !state.open;
+        if(closes){
+            let segment = Buffer.concat([state.data].concat(output.slice(state.offset)));
+            state.data = Buffer.from([]);
+            this.emitSegment(modifier, segment);
+        }
+        // Keep the delimiter if the data is passing through unchanged
+        if(!modifier.push){
+            output.push(context.match);
+        }
+        if(opens && modifier.end){
+            state.range_start = context.offset;
+        }
+        state.open = opens;
+        state.offset = output.length;
+    }
+
+    /**
+     * Finish processing a chunk with respect to split modifiers.
+     * Data of open segments is saved for the next chunk. If any split 
+     * modifier pushes its segments, nothing else is sent downstream.
+     * @param {Buffer[]} output - Output pieces of the chunk
+     * @returns {Buffer} Chunk to send downstream
+     */
+    finishSplits(output){
+        let push = false;
+        const modifiers = this.getMatcher().modifiers;
+        for(let i = 0; i < modifiers.length; i++){
+            const modifier = modifiers[i];
+            if(modifier.action !== "split"){
+                continue;
+            }
+            let state = this.getModifierState(modifier);
+            if(state.open){
+                state.data = Buffer.concat([state.data].concat(output.slice(state.offset)));
+            }
+            state.offset = 0;
+            push = push || modifier.push;
+        }
+        return push ? Buffer.from([]) : Buffer.concat(output);
+    }
+
+    /**
+     * Flush the last segment of each single delimiter split modifier.
+     * Unterminated start/end segments are handled according to the 
+     * unterminated option of the modifier.
+     * @throws {DataTransformError} If an unterminated segment should cause
+     * an error, in strict mode
+     */
+    flushSplits(){
+        const modifiers = this.getMatcher().modifiers;
+        for(let i = 0; i < modifiers.length; i++){
+            if(modifiers[i].action === "split"){
+                this.flushSplit(modifiers[i]);
+            }
+        }
+    }
+
+    /**
+     * Flush the last segment of a split modifier.
+     * An unterminated segment that should cause an error is discarded,
+     * unless in strict mode.
+     * @param {Modifier} modifier
+     * @throws {DataTransformError} If an unterminated segment should cause
+     * an error, in strict mode
+     */
+    flushSplit(modifier){
+        let state = this.getModifierState(modifier);
+        if(!modifier.end || (state.open && modifier.unterminated === "keep")){
+            this.emitSegment(modifier, state.data);
+        }
+        else if(state.open){
+            if(modifier.unterminated === "error"){
+                let message = `Unterminated split segment of ${this.describeModifier(modifier)} that started at offset ${state.range_start}`;
+                this.handleModifierError(message, modifier, state.range_start);
+            }
+            this.logger.debug(`Discarded unterminated split segment`);
+        }
+        state.data = Buffer.from([]);
+        state.open = !modifier.end;
+    }
+
+    /**
+     * Whether stream contents can be pushed downstream as they are read.
+     * In a dry run the output is only recorded. Split modifiers collect the
+     * output into segments, and an extracted
+     * range that would be dropped if it never ends holds back its output,
+     * so then stream contents are read into the output instead. Inserted 
+     * contents that may have scope markers are read to be scanned.
+     * @returns {Boolean}
+     */
+    canStreamContents(){
+        const matcher = this.getMatcher();
+        if(this.dry_run || matcher.actions.has("split") || (this.scope_inserted && matcher.scopes)){
+            return false;
+        }
+        const modifier = this.open_range;
+        return !modifier 
+            || modifier.action !== "extractBetween" 
+            || modifier.unterminated !== "drop";
+    }
+
+    /**
+     * Push data downstream, waiting for it to be read if the readable 
+     * side of the transform is full.
+     * @param {Buffer} data 
+     * @async
+     * @returns {Promise}
+     */
+    pushData(data){
+        if(!data.length || this.push(data) || this.destroyed){
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            this.read_waiter = resolve;
+        });
+    }
+
+    /**
+     * Push the output pieces collected so far downstream, and clear them.
+     * @param {Buffer[]} output 
+     * @async
+     * @returns {Promise}
+     */
+    pushOutput(output){
+        let data = Buffer.concat(output);
+        output.length = 0;
+        return this.pushData(data);
+    }
+
+    /**
+     * Write a piece of contents to the output.
+     * Streams are pushed downstream piece by piece as they are read, after
+     * the output collected so far, if possible. Otherwise they are read 
+     * into the output.
+     * @param {Buffer[]} output - Output pieces of the chunk
+     * @param {Buffer|Readable} content 
+     * @async
+     * @returns {Promise<Number>} Number of bytes written
+     */
+    async writeContent(output, content){
+        if(Buffer.isBuffer(content)){
+            output.push(content);
+            return content.length;
+        }
+        let length = 0;
+        let stream = this.canStreamContents();
+        if(stream){
+            await this.pushOutput(output);
+        }
+        for await (let piece of content){
+            if(!Buffer.isBuffer(piece)){
+                piece = Buffer.from(piece);
+            }
+            length += piece.length;
+            if(stream){
+                await this.pushData(piece);
+            }
+            else {
+                output.push(piece);
+            }
+        }
+        return length;
+    }
+
+    /**
+     * Push data downstream, counting the bytes written.
+     * Compressed output is written to the encoder.
+     * @param {Buffer|null} chunk 
+     * @param {String} [encoding] 
+     * @returns {Boolean} False if no more data should be pushed until the
+     * output drains
+     */
+    push(chunk, encoding){
+        const encoder = this.getEncoder();
+        if(encoder && chunk !== null){
+            if(chunk.length){
+                return encoder.write(chunk, encoding);
+            }
+            return true;
+        }
+        if(chunk){
+            this.bytes_written += chunk.length;
+        }
+        return super.push(chunk, encoding);
+    }
+
+    /**
+     * Called when the readable side of the transform wants more data.
+     * Resumes the encoder, or the output if it is not compressed.
+     * @param {Number} size 
+     */
+    _read(size){
+        if(this.encoder){
+            this.encoder.resume();
+        }
+        else {
+            this.drainOutput();
+        }
+        super._read(size);
+    }
+
+    /**
+     * Called when the output can take more data.
+     * Resumes decompressing and pushing of stream contents that waited 
+     * for it.
+     */
+    drainOutput(){
+        if(this.decoder){
+            this.decoder.resume();
+        }
+        if(this.read_waiter){
+            const resolve = this.read_waiter;
+            this.read_waiter = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Destroy the transform.
+     * Resumes pushing of stream contents so that it can end.
+     * @param {Error} error 
+     * @param {Function} callback 
+     */
+    _destroy(error, callback){
+        if(this.read_waiter){
+            const resolve = this.read_waiter;
+            this.read_waiter = null;
+            resolve();
+        }
+        super._destroy(error, callback);
+    }
+
+    /**
+     * Transform a chunk.
+     * Compressed chunks are decompressed first.
+     * @param {Buffer|String|Any} chunk - Data, or an object in object mode,
+     * which is an error
+     * @param {String} encoding 
+     * @param {Function} callback 
+     * @async
+     */
+    async _transform(chunk, encoding, callback){
+        // Only strings can be written in object mode without being data
+        if(typeof chunk === "string"){
+            chunk = Buffer.from(chunk, encoding === "buffer" ? "utf8" : encoding);
+        }
+        else if(!Buffer.isBuffer(chunk)){
+            callback(new TypeError("DataTransform can only transform data, use a RecordTransform for objects"));
+            return;
+        }
+        let output = null;
+        try {
+            if(this.decompress){
+                await this.decode(chunk);
+            }
+            else {
+                output = await this.transformData(chunk);
+            }
+        }
+        catch(error){
+            callback(error);
+            return;
+        }
+        callback(null, output);
+    }
+
+    /**
+     * Transform a chunk of data.
+     * If concat is true, all chunks will be concatenated before they are 
+     * processed, up to maxBufferSize. Otherwise, chunks are processed as 
+     * they are received.
+     * @param {Buffer} chunk 
+     * @async
+     * @throws {DataTransformError} If more than maxBufferSize bytes would 
+     * be buffered, and the bufferLimit option is "error"
+     * @returns {Promise<Buffer|null>} Data to push, or null if the chunk
+     * was buffered
+     */
+    async transformData(chunk){
+        // New chunk of data
+        this.chunk_count++;
+        this.bytes_read += chunk.length;
+        this.logger.debug(`Read chunk ${this.chunk_count} with length ${chunk.length}`);
+        this.logger.verbose("Printing original chunk:\n" + chunk.toString());
+
+        if(this.concat){
+            let size = this.buffered_size + chunk.length;
+            if(!this.max_buffer_size || size <= this.max_buffer_size){
+                this.buffered_chunks.push(chunk);
+                this.buffered_size = size;
+                return null;
+            }
+            if(this.buffer_limit === "error"){
+                let message = `Buffered data exceeds maxBufferSize of ${this.max_buffer_size} bytes`;
+                throw new DataTransformError(message, {offset: this.bytes_read - chunk.length});
+            }
+            // Fall back to processing chunks as they arrive, starting with
+            // everything buffered so far as one chunk
+            this.logger.debug(`Buffer limit reached, processing chunks as they arrive`);
+            this.concat = false;
+            this.buffered_chunks.push(chunk);
+            chunk = Buffer.concat(this.buffered_chunks, size);
+            this.buffered_chunks = [];
+        }
+        else if(this.leftover_data){
+            // If there was leftover data, prepend it to this chunk
+            this.logger.debug(`Prepended leftover data`);
+            let length = this.leftover_data.length + chunk.length;
+            chunk = Buffer.concat([this.leftover_data, chunk], length);
+            this.leftover_data = null;
+        }
+        chunk = await this.processChunk(chunk);
+        this.buffered_size = this.leftover_data ? this.leftover_data.length : 0;
+        this.logger.verbose("Printing modified chunk:\n" + chunk.toString());
+        this.last_chunk = chunk;
+        return chunk;
+    }
+
+    /**
+     * Decompress a chunk, and transform the data that it decompresses to.
+     * With the "auto" option, the compression is detected from the first 
+     * bytes of the stream, and data that does not look compressed is 
+     * transformed as it is, as is data that looks like deflate data but
+     * fails to decompress before it decompresses to anything.
+     * @param {Buffer} chunk 
+     * @param {Boolean} [final=false] - Whether this is the end of the stream
+     * @async
+     * @throws {Error} If the data can not be decompressed
+     * @returns {Promise}
+     */
+    async decode(chunk, final = false){
+        if(this.decoder === null){
+            let coding = this.decompress;
+            if(coding === "auto"){
+                let head = this.encoded_head ? Buffer.concat([this.encoded_head, chunk]) : chunk;
+                // Wait for enough bytes to detect the compression
+                if(head.length < 2 && !final){
+                    this.encoded_head = head;
+                    return;
+                }
+                this.encoded_head = null;
+                chunk = head;
+                coding = Compression.detect(head);
+                if(coding === "deflate"){
+                    this.undecoded = [];
+                }
+            }
+            this.coding = coding;
+            this.decoder = coding ? this.createDecoder(coding) : false;
+        }
+        if(this.decoder){
+            const decoder = this.decoder;
+            if(this.undecoded){
+                this.undecoded.push(chunk);
+            }
+            try {
+                if(chunk.length){
+                    // A decoder that fails does not call back
+                    await new Promise((resolve, reject) => {
+                        decoder.once('error', reject);
+                        decoder.write(chunk, (error) => {
+                            decoder.removeListener('error', reject);
+                            error ? reject(error) : resolve();
+                        });
+                    });
+                }
+                if(final){
+                    await new Promise((resolve, reject) => {
+                        decoder.once('end', resolve);
+                        decoder.once('error', reject);
+                        decoder.end();
+                    });
+                }
+                await this.decoding;
+                return;
+            }
+            catch(error){
+                if(!this.undecoded){
+                    throw error;
+                }
+                this.logger.debug(`Input is not deflate data, transforming it as it is`);
+                chunk = Buffer.concat(this.undecoded);
+                this.undecoded = null;
+                this.coding = null;
+                this.decoder = false;
+            }
+        }
+        let output = await this.transformData(chunk);
+        if(output && output.length){
+            this.push(output);
+        }
+    }
+
+    /**
+     * Create a stream that decompresses the input.
+     * Decompressed data is transformed in order as it arrives. The decoder
+     * is paused while the output is full.
+     * @param {String} coding 
+     * @returns {Transform}
+     */
+    createDecoder(coding){
+        let decoder = Compression.createDecoder(coding);
+        decoder.on('data', (data) => {
+            // The input decompresses, so it is compressed
+            this.undecoded = null;
+            this.decoding = this.decoding.then(async () => {
+                let output = await this.transformData(data);
+                if(output && output.length && !this.push(output)){
+                    decoder.pause();
+                }
+            });
+            // A failure is thrown when the decoding is next waited for
+            this.decoding.catch(() => {});
+        });
+        // Errors are thrown where the decoder is written to
+        decoder.on('error', () => {});
+        return decoder;
+    }
+
+    /**
+     * Get the stream that compresses the output, creating it if necessary.
+     * With the "auto" option, the output is compressed like the input was.
+     * @returns {Transform|null} Null if the output is not compressed
+     */
+    getEncoder(){
+        if(this.encoder === null){
+            let coding = this.compress === "auto" ? this.coding : this.compress;
+            this.encoder = coding ? Compression.createEncoder(coding) : false;
+            if(this.encoder){
+                this.encoder.on('data', (data) => {
+                    this.bytes_written += data.length;
+                    if(!super.push(data)){
+                        this.encoder.pause();
+                    }
+                });
+                this.encoder.on('drain', () => {
+                    this.drainOutput();
+                });
+                this.encoder.on('error', (error) => {
+                    this.destroy(error);
+                });
+            }
+        }
+        return this.encoder || null;
+    }
+
+    /**
+     * Compress the rest of the output.
+     * @async
+     * @returns {Promise}
+     */
+    finishEncoding(){
+        const encoder = this.getEncoder();
+        if(!encoder){
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            encoder.once('end', resolve);
+            encoder.once('error', reject);
+            encoder.end();
+        });
+    }
+
+    /**
+     * Flush data.
+     * Called when read stream ends.
+     * If concat is true, this is where the processing occurs.
+     * Otherwise, any leftover data from the last chunk is processed.
+     * Once all data is pushed, the stats are emitted in a report event,
+     * after the edits of a dry run are emitted in an edits event.
+     * @param {Function} callback 
+     */
+    async _flush(callback){
+        let chunk = null;
+        try {
+            if(this.decompress){
+                await this.decode(Buffer.from([]), true);
+            }
+            let released = this.applyModifierChanges();
+            if(released.length && !this.dry_run){
+                this.push(released);
+            }
+            if(this.concat){
+                this.data = Buffer.concat(this.buffered_chunks);
+                this.buffered_chunks = [];
+                this.buffered_size = 0;
+                this.data = await this.processChunk(this.data, true);
+                this.logger.verbose("Printing modified chunk:\n" + this.data.toString());
+                chunk = this.data;
+            }
+            // Positional modifiers may act at the end of the stream
+            else if(this.leftover_data || this.getMatcher().positions.length){
+                chunk = this.leftover_data || Buffer.from([]);
+                this.leftover_data = null;
+                this.buffered_size = 0;
+                chunk = await this.processChunk(chunk, true);
+                this.logger.verbose("Printing modified chunk:\n" + chunk.toString());
+            }
+            let rest = this.flushRange();
+            if(rest.length && !this.dry_run){
+                chunk = chunk ? Buffer.concat([chunk, rest]) : rest;
+            }
+            this.flushSplits();
+        }
+        catch(error){
+            callback(error);
+            return;
+        }
+        if(chunk && chunk.length){
+            this.push(chunk);
+        }
+        try {
+            await this.finishEncoding();
+        }
+        catch(error){
+            callback(error);
+            return;
+        }
+        if(this.dry_run){
+            this.emit('edits', this.edits);
+        }
+        this.emit('report', this.stats());
+        callback();
+    }
+
+    /**
+     * Get the contents of a modifier, one piece at a time.
+     * Files and streams are not read, but returned as readable streams.
+     * Async as it may wait for a function.
+     * @param {Object} modifier 
+     * @param {Object|Object[]} modifier.contents 
      * @param {Buffer} [modifier.contents.buffer] - Buffer of data
      * @param {String} [modifier.contents.file] - Readable file path
+     * @param {String[]} [modifier.contents.files] - Files found in a 
+     * directory when the modifier was created
+     * @param {Function} [modifier.contents.fn] - Function that is passed 
+     * the context of the match, and returns or resolves a buffer or string
+     * @param {Function|Readable} [modifier.contents.stream] - Readable 
+     * stream, or a function that is passed the context of the match and 
+     * returns one
      * @param {String} [modifier.contents.string] - String data
+     * @param {Object|String} [modifier.contents.template] - Template string,
+     * or {file} to read it from, whose {{name}} placeholders are replaced
+     * with variables
+     * @param {Object} [modifier.contents.vars] - Variables of the template,
+     * which take precedence over the DataTransform vars
+     * @param {String} [modifier.contents.missing] - What to do with a 
+     * missing variable, instead of the DataTransform missingVars option
+     * @param {Array} [result] - Result of a regular expression match, whose
+     * captures are expanded in string data
+     * @param {Object} [context] - Context of the match
+     * @param {Buffer} [context.match] - Matched data
+     * @param {Number} [context.offset] - Offset of the match in the stream
+     * @param {Number} [context.count] - Number of matches of the modifier 
+     * so far, including this one
      * @async
-     * @returns {Buffer|String|Any} Modified chunk 
+     * @generator
+     * @yields {Buffer|Readable} Contents
      */
-    async modifyChunk(chunk, modifier){
+    async *getContents(modifier, result = null, context = {modifier}, contents = modifier.contents){
         // No modification
-        if(typeof modifier.contents === "undefined" || modifier.contents === null) {
-            return chunk;
+        if(typeof contents === "undefined" || contents === null) {
+            return;
         }
 
-        // Convert to an array of contents if not already
-        if(!Array.isArray(modifier.contents)){
-            modifier.contents = [modifier.contents];
-        }
+        contents = Array.isArray(contents) ? contents : [contents];
 
-        for(let i = 0; i < modifier.contents.length; i++){
-            let content = modifier.contents[i];
+        for(let i = 0; i < contents.length; i++){
+            let content = contents[i];
             // String modification
             if(typeof content.string === "string"){
-                let buffer = Buffer.from(content.string);
-                let length = chunk.length + buffer.length;
-                chunk = Buffer.concat([chunk, buffer], length);
+                yield result 
+                    ? this.expandString(content.string, result, modifier.encoding)
+                    : Buffer.from(content.string, modifier.encoding);
+            }
+            // Template modification
+            else if(typeof content.template !== "undefined"){
+                let template = await this.readTemplate(content.template, modifier, context);
+                let string = null;
+                if(template !== null){
+                    try {
+                        string = this.renderTemplate(template, content.vars, content.missing);
+                    }
+                    catch(error){
+                        this.handleContentError(error, modifier, context);
+                    }
+                }
+                if(string !== null){
+                    yield Buffer.from(string, modifier.encoding);
+                }
             }
             // Buffer modification
-            else if (typeof content.buffer === "Buffer"){
-                let length = chunk.length + content.buffer.length;
-                chunk = Buffer.concat([chunk, content.buffer], length);
+            else if (Buffer.isBuffer(content.buffer)){
+                yield content.buffer;
+            }
+            // Function modification
+            else if(typeof content.fn === "function"){
+                let value = null;
+                try {
+                    value = await content.fn(context);
+                }
+                catch(error){
+                    this.handleContentError(error, modifier, context);
+                }
+                if(Buffer.isBuffer(value)){
+                    yield value;
+                }
+                else if(typeof value !== "undefined" && value !== null){
+                    yield Buffer.from(String(value), modifier.encoding);
+                }
+            }
+            // Stream modification
+            else if(content.stream){
+                let stream = content.stream;
+                if(typeof stream === "function"){
+                    try {
+                        stream = stream(context);
+                    }
+                    catch(error){
+                        this.handleContentError(error, modifier, context);
+                        continue;
+                    }
+                }
+                yield stream;
             }
             // File modification
             else if(typeof content.file === "string"){
-                try {
-                    Fs.accessSync(content.file);
-                    chunk = await this.appendFromFile(chunk, content.file);
+                let file = await this.readFile(content.file, modifier, context);
+                if(file){
+                    yield file;
                 }
-                catch (error) {
-                    this.logger.error("Modifying chunk failed");
-                    this.logger.error(error);
+            }
+            // Directory modification
+            else if(Array.isArray(content.files)){
+                let files = this.cache
+                    ? this.cache.getFiles(content.pattern, content.directory_options || modifier.directory_options)
+                    : content.files;
+                for(let x = 0; x < files.length; x++){
+                    let file = await this.readFile(files[x], modifier, context);
+                    if(file){
+                        yield file;
+                    }
                 }
             }
         }
-        return chunk;
+    }
+
+    /**
+     * Handle an error of contents that can't be written.
+     * In strict mode the error is thrown, which destroys the stream.
+     * Otherwise it is emitted in a warning event, or logged if there are
+     * no listeners, and the contents are skipped.
+     * @param {Error} error 
+     * @param {Modifier} modifier 
+     * @param {Object} context - Context of the match
+     * @throws {DataTransformError} In strict mode
+     */
+    handleContentError(error, modifier, context){
+        // An error of an included file already names its modifier
+        if(this.strict && error instanceof DataTransformError){
+            throw error;
+        }
+        let message = `Failed to write contents of ${this.describeModifier(modifier)} ` +
+            `at offset ${context.offset}: ${error.message}`;
+        this.handleModifierError(message, modifier, context.offset, error);
+    }
+
+    /**
+     * Handle an error of a modifier, such as a range that never ends.
+     * In strict mode the error is thrown, which destroys the stream.
+     * Otherwise it is emitted in a warning event, or logged if there are
+     * no listeners.
+     * @param {String} message - Message that names the modifier and offset
+     * @param {Modifier} modifier 
+     * @param {Number} offset - Offset in the stream of the error
+     * @param {Error} [cause] - Original error
+     * @throws {DataTransformError} In strict mode
+     */
+    handleModifierError(message, modifier, offset, cause){
+        let error = new DataTransformError(message, {modifier, offset, cause});
+        if(this.strict){
+            throw error;
+        }
+        this.warn(error);
+    }
+
+    /**
+     * Describe a modifier by its index and match, for messages.
+     * @param {Modifier} modifier 
+     * @returns {String} Such as modifier 1 (replace "<!-- x -->")
+     */
+    describeModifier(modifier){
+        return `modifier ${this.modifiers.indexOf(modifier)} (${modifier.describe()})`;
+    }
+
+    /**
+     * Emit a warning, or log it if nothing listens for warnings.
+     * @param {Error} warning 
+     */
+    warn(warning){
+        if(this.listenerCount('warning')){
+            this.emit('warning', warning);
+        }
+        else {
+            this.logger.error(warning.message);
+        }
+    }
+
+    /**
+     * Get the text of a template.
+     * @param {Object|String} template - Template string, or {file}
+     * @param {Modifier} modifier 
+     * @param {Object} context - Context of the match
+     * @returns {Promise<String|null>} Null if the file can't be read
+     */
+    async readTemplate(template, modifier, context){
+        if(typeof template === "string"){
+            return template;
+        }
+        try {
+            let data = this.cache 
+                ? await this.cache.readFile(template.file) 
+                : await Fs.promises.readFile(template.file);
+            return data.toString(modifier.encoding);
+        }
+        catch (error) {
+            this.handleContentError(error, modifier, context);
+            return null;
+        }
+    }
+
+    /**
+     * Get the value of a template variable.
+     * A name can be a path into nested objects, such as "asset.hash".
+     * @param {String} name 
+     * @param {Object} [vars] - Variables of the content, which take
+     * precedence over the DataTransform vars
+     * @returns {*} Undefined if the variable is missing
+     */
+    getVar(name, vars){
+        let sources = vars ? [vars, this.vars] : [this.vars];
+        for(let i = 0; i < sources.length; i++){
+            let value = sources[i];
+            if(typeof value[name] !== "undefined" && value[name] !== null){
+                return value[name];
+            }
+            let keys = name.split(".");
+            for(let x = 0; x < keys.length && value !== null && typeof value !== "undefined"; x++){
+                value = value[keys[x]];
+            }
+            if(typeof value !== "undefined" && value !== null){
+                return value;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Replace the {{name}} placeholders of a template with variables.
+     * @param {String} template 
+     * @param {Object} [vars] - Variables of the content
+     * @param {String} [missing] - What to do with a missing variable,
+     * instead of the missingVars option
+     * @throws {Error} If a variable is missing and that is an error
+     * @returns {String}
+     */
+    renderTemplate(template, vars, missing = this.missing_vars){
+        return template.replace(/\{\{\s*([\w$.-]+)\s*\}\}/g, (placeholder, name) => {
+            let value = this.getVar(name, vars);
+            if(typeof value !== "undefined"){
+                return String(value);
+            }
+            switch(missing){
+                case "empty":
+                    return "";
+                case "error":
+                    throw new Error(`Missing template variable ${name}`);
+                default:
+                    return placeholder;
+            }
+        });
+    }
+
+    /**
+     * Read a file from the cache, or open a stream to read it.
+     * @param {String} path 
+     * @param {Modifier} modifier 
+     * @param {Object} context - Context of the match
+     * @returns {Promise<Buffer|Readable|null>} Null if the file can't be read
+     */
+    async readFile(path, modifier, context){
+        try {
+            let include = this.include_contents || modifier.action === "include";
+            let chain = include ? this.getIncludeChain(path) : null;
+            let file = null;
+            if(this.cache){
+                file = await this.cache.readFile(path);
+            }
+            else {
+                Fs.accessSync(path);
+                file = Fs.createReadStream(path);
+            }
+            return include ? this.includeFile(file, chain) : file;
+        }
+        catch (error) {
+            this.handleContentError(error, modifier, context);
+            return null;
+        }
+    }
+
+    /**
+     * Get the contents of an include match, which is the file at the path
+     * it captures, either as its first capture or as a group named file.
+     * The path is resolved from the base directory.
+     * @param {Modifier} modifier 
+     * @param {Object} context - Context of the match
+     * @returns {Object[]} Contents, which are empty if the path is not valid
+     */
+    getIncludeContents(modifier, context){
+        const {captures, groups} = this.getCaptures(context.result, modifier);
+        let file = (groups && groups.file) || captures[0];
+        try {
+            if(!file){
+                throw new Error("The include match has no path");
+            }
+            let path = Path.resolve(this.base_directory, file);
+            let relative = Path.relative(this.base_directory, path);
+            if(relative.startsWith("..") || Path.isAbsolute(relative)){
+                throw new Error(`Include path ${file} is outside of the base directory`);
+            }
+            return [{file: path}];
+        }
+        catch(error){
+            this.handleContentError(error, modifier, context);
+            return [];
+        }
+    }
+
+    /**
+     * Get the chain of files that include a file, ending with the file.
+     * @param {String} path - Path of the file
+     * @throws {Error} If the file includes itself, or is nested too deep.
+     * The message names the chain of files.
+     * @returns {String[]}
+     */
+    getIncludeChain(path){
+        path = Path.resolve(this.base_directory, path);
+        let chain = this.include_chain.concat(path);
+        const describe = () => {
+            return chain.map((file) => Path.relative(this.base_directory, file)).join(" -> ");
+        };
+        if(this.include_chain.includes(path)){
+            throw new Error(`Include cycle: ${describe()}`);
+        }
+        if(chain.length > this.max_include_depth){
+            throw new Error(`Includes are nested deeper than ${this.max_include_depth}: ${describe()}`);
+        }
+        return chain;
+    }
+
+    /**
+     * Transform an included file with a clone of this transform.
+     * Warnings of the clone are warnings of this transform.
+     * @param {Buffer|Readable} file 
+     * @param {String[]} chain - Chain of files that include the file
+     * @returns {DataTransform} Clone that the file is written to
+     */
+    includeFile(file, chain){
+        let transform = this.clone({decompress: null, compress: null, dryRun: false});
+        transform.include_chain = chain;
+        transform.on('warning', (warning) => {
+            this.warn(warning);
+        });
+        if(Buffer.isBuffer(file)){
+            transform.end(file);
+        }
+        else {
+            // Errors of the file are errors of the clone
+            pipeline(file, transform, () => {});
+        }
+        return transform;
+    }
+
+    /**
+     * Write the contents of a modifier to the output.
+     * @param {Buffer[]} output - Output pieces of the chunk
+     * @param {Modifier} modifier 
+     * @param {Object} context - Context of the match
+     * @param {Array} [context.result] - Result of a regular expression match
+     * @param {Object[]} [contents=modifier.contents] - Contents to write 
+     * instead of those of the modifier
+     * @async
+     */
+    async writeContents(output, modifier, context, contents = modifier.contents){
+        if(!contents || contents.length === 0){
+            return;
+        }
+        let {result, line} = context;
+        context = {
+            match: context.match, 
+            offset: context.offset, 
+            count: context.count, 
+            modifier
+        };
+        if(typeof line !== "undefined"){
+            context.line = line;
+        }
+        if(result){
+            Object.assign(context, this.getCaptures(result, modifier));
+        }
+        let state = this.getModifierState(modifier);
+        let index = output.length;
+        for await (let content of this.getContents(modifier, result, context, contents)){
+            try {
+                state.inserted += await this.writeContent(output, content);
+            }
+            catch(error){
+                // A stream that fails part way may have written some data
+                this.handleContentError(error, modifier, context);
+            }
+        }
+        if(this.scope_inserted && this.getMatcher().scopes){
+            let inserted = Buffer.concat(output.slice(index));
+            let scan = this.getMatcher().scan(inserted, 0, true, this.max_match_length);
+            this.updateScopes(scan, inserted.length);
+        }
+    }
+
+    /**
+     * Create the event of a compare match.
+     * @param {Modifier} modifier 
+     * @param {Object} found - Match of the scan
+     * @param {Buffer} chunk 
+     * @param {Number} offset - Offset of the chunk in the stream
+     * @returns {Object} Event with the modifier, the match, its index in the
+     * chunk, its offset in the stream, its line and column, the context
+     * bytes before and after it, and captures of a regular expression
+     */
+    createCompareEvent(modifier, found, chunk, offset){
+        let {line, column} = this.getPosition(offset + found.start);
+        let before = chunk.slice(Math.max(found.start - modifier.window, 0), found.start);
+        if(before.length < modifier.window && this.history.length){
+            let missing = modifier.window - before.length;
+            let history = this.history.slice(Math.max(this.history.length - missing, 0));
+            before = Buffer.concat([history, before]);
+        }
+        let event = {
+            modifier, 
+            index: found.start, 
+            offset: offset + found.start,
+            line,
+            column,
+            match: chunk.slice(found.start, found.end),
+            context: {
+                before,
+                after: chunk.slice(found.end, found.end + modifier.window)
+            }
+        };
+        if(found.result){
+            Object.assign(event, this.getCaptures(found.result, modifier));
+        }
+        return event;
+    }
+
+    /**
+     * Get the contents to replace a compare match with, from the decision 
+     * of its hook. A decision that is not valid keeps the match, unless in
+     * strict mode.
+     * @param {Object|String} decision - "keep", "erase", or {replace}, 
+     * where replace is a string, a buffer, or contents objects
+     * @param {Modifier} modifier 
+     * @param {Number} offset - Offset in the stream of the match
+     * @throws {DataTransformError} If the decision is not valid, in strict
+     * mode
+     * @returns {Object[]|null} Null to keep the match
+     */
+    getHookContents(decision, modifier, offset){
+        if(typeof decision === "undefined" || decision === null || decision === "keep"){
+            return null;
+        }
+        if(decision === "erase"){
+            return [];
+        }
+        if(typeof decision === "object" && typeof decision.replace !== "undefined"){
+            const replace = decision.replace;
+            if(typeof replace === "string"){
+                return [{string: replace}];
+            }
+            if(Buffer.isBuffer(replace)){
+                return [{buffer: replace}];
+            }
+            return [].concat(replace);
+        }
+        let message = `Invalid compare hook decision ${JSON.stringify(decision)} of ` +
+            `${this.describeModifier(modifier)} at offset ${offset}`;
+        this.handleModifierError(message, modifier, offset);
+        return null;
+    }
+
+    /**
+     * Record the edit of a modifier that writes contents in a dry run.
+     * @param {Modifier} modifier 
+     * @param {Object} context - Context of the match
+     * @param {Buffer} after - Contents that were written
+     */
+    recordModification(modifier, context, after){
+        switch(modifier.action){
+            case "append":
+                this.recordEdit(modifier, context.offset + context.match.length, Buffer.from([]), after);
+                break;
+            case "prepend":
+                this.recordEdit(modifier, context.offset, Buffer.from([]), after);
+                break;
+            default:
+                this.recordEdit(modifier, context.offset, context.match, after);
+                break;
+        }
     }
 
     /**
      * Process a chunk.
+     * Matches are handled in order of where they start, then in order of
+     * their modifiers, unless the overlap option says otherwise. Once a 
+     * match modifies the data, matches that start before its end are 
+     * skipped. Output is collected as slices of the 
+     * chunk and contents, and concatenated once. Stream contents may push
+     * the output collected before them downstream, so the returned chunk
+     * is what remains to be sent.
      * @param {Buffer|String|Any} chunk 
+     * @param {Boolean} [final=false] - Whether this is the last chunk in the
+     * stream, in which case a partial match at the end is not saved as
+     * leftover data
      * @async
      * @returns {Buffer|String|Any} Chunk 
      */
-    async processChunk(chunk){
+    async processChunk(chunk, final = false){
+        let released = this.applyModifierChanges();
+        if(released.length && !this.dry_run){
+            this.push(released);
+        }
         if(!this.modifiers.length){
             return chunk;
         }
 
-        let new_chunk = Buffer.from([]);
-        this.end_of_last_match = 0;
         this.logger.debug("Processing chunk");
-        // Loop through every value in the chunk
-        for(let i = 0; i < chunk.length; i++){
-            let chunk_remaining = chunk.length - 1 - i;
-            // Loop through every modifier to test if the current
-            // chunk value is the start of a modifier.match
-            for(let k = 0; k < this.modifiers.length; k++){
-                const modifier = this.modifiers[k];
-                // See how far we are able to look ahead when testing this match
-                // If the length of the match is longer than the number of 
-                // values left in the chunk, than only look as far as the end 
-                // of the chunk
-                let seek_length = modifier.match.length > chunk_remaining 
-                    ? (chunk_remaining + 1) 
-                    : modifier.match.length;
-                let found = true;
-                let x = 0;
-                // Loop through the match from start and from the chunk from i
-                for(x; x < seek_length; x++){
-                    if(modifier.match[x] !== chunk[i + x]){
-                        if(x > 0){
-                            this.logger.debug(`Matched ${x}/${seek_length} with [${modifier.match.toString()}]`);
-                        }
-                        found = false;
-                        break;
-                    }
+        let time = process.hrtime.bigint();
+        let offset = this.bytes_read - chunk.length;
+        this.current_chunk = chunk;
+        this.current_offset = offset;
+        const matcher = this.getMatcher();
+        const lines = this.lines || matcher.lines;
+        let scan = matcher.scan(chunk, offset, final, this.max_match_length);
+        // Only whole lines are processed until the last chunk
+        if(lines && !final){
+            scan.hold = Matcher.getLineStart(chunk, scan.hold);
+        }
+        let output = [];
+        let found = null;
+        let pending = [];
+        const next = () => {
+            return this.overlap === "order"
+                ? scan.next(this.end_of_last_match)
+                : this.getNextMatch(scan, pending);
+        };
+        this.end_of_last_match = 0;
+        // An empty match at the end of the last chunk is still handled
+        while((found = next()) && (found.start < scan.hold || final)){
+            const {modifier} = found.pattern;
+            if(!this.isPatternActive(found.pattern)){
+                continue;
+            }
+            // A line that started in a previous chunk was handled there,
+            // except for its end
+            if(found.pattern.line && found.line_start === 0 && !this.line_start 
+                && modifier.action !== "suffixLine"){
+                continue;
+            }
+            if(modifier.anchor){
+                let anchored = this.isAnchored(chunk, found, final);
+                // The line end may not have arrived yet
+                if(anchored === null){
+                    scan.hold = found.start;
+                    break;
+                }
+                if(!anchored){
+                    continue;
+                }
+            }
+            // The bytes after a compare match may not have arrived yet
+            if(modifier.window && found.end + modifier.window > scan.hold && !final){
+                scan.hold = found.start;
+                break;
+            }
+            this.updateScopes(scan, found.start);
+            let state = this.getModifierState(modifier);
+            // Only the start of a range or split segment is an occurrence
+            if(found.pattern.role !== "end"){
+                if(!this.isInScope(modifier)){
+                    continue;
                 }
-                // The match failed completely, just move on
-                if(!found){
+                // An occurrence that was skipped is passed over, 
+                // just like one that was acted on
+                if(offset + found.start < state.skip_until){
                     continue;
                 }
-                // Full match found
-                if(x === modifier.match.length){
-                    this.logger.info(`Found match [${modifier.match.toString()}]`)
+                state.count++;
+                // A line is acted on once, however many matches it has
+                if(found.pattern.line){
+                    state.skip_until = offset + Math.max(found.end, found.start + 1);
+                }
+                if(!this.isOccurrenceApplied(modifier, state)){
+                    state.skip_until = Math.max(state.skip_until, offset + found.end);
+                    continue;
+                }
+                state.applied++;
+            }
+            let match = chunk.slice(found.start, found.end);
+            this.logger.info(`Found match ${found.start}->${found.end}`);
 
-                    // If in compare mode, emit found and move on to the next modifier 
-                    if(modifier.action === "compare"){
-                        this.emit('compare', {modifier, index: i});
-                        continue;
-                    }
+            // If in compare mode, emit found and move on,
+            // unless a hook decides to modify the match
+            let hook_contents = null;
+            if(modifier.action === "compare"){
+                let event = this.createCompareEvent(modifier, found, chunk, offset);
+                this.emit('compare', event);
+                if(modifier.hook){
+                    hook_contents = this.getHookContents(await modifier.hook(event), modifier, event.offset);
+                }
+                if(!hook_contents){
+                    continue;
+                }
+            }
 
-                    // Copy from the original chunk start->end
-                    // start: the position in the chunk at the end of the last
-                    //        found match, or 0
-                    //  end:  the beginning of this found match (i)
-                    let start = this.end_of_last_match;
-                    let end = i;
-
-                    // The modifier action will affect the end of the slice
-                    // append: move to the end of the match
-                    if(modifier.action === "append"){
-                        end += modifier.match.length;
-                    }
-                    let slice = chunk.slice(start, end);
-                    let length = new_chunk.length + slice.length;
-                    new_chunk = Buffer.concat([new_chunk, slice], length);
-                    this.logger.debug(`Appended from chunk ${start}->${end}`);
-
-                    // Write the modifier data
-                    new_chunk = await this.modifyChunk(new_chunk, modifier);
-
-                    // If in prepend, write the match as well
-                    if(modifier.action === "prepend"){
-                        let slice = Buffer.from(modifier.match);
-                        let length = new_chunk.length + slice.length;
-                        new_chunk = Buffer.concat([new_chunk, slice], length);
-                    }
+            // Copy from the original chunk start->end
+            // start: the position in the chunk at the end of the last
+            //        found match, or 0
+            //  end:  the beginning of this found match
+            // The modifier action will affect the end of the slice
+            // append: move to the end of the match
+            let start = this.end_of_last_match;
+            let end = modifier.action === "append" ? found.end : found.start;
+            this.writeData(output, chunk.slice(start, end), offset + start);
+            this.logger.debug(`Appended from chunk ${start}->${end}`);
 
-                    // Save the index at the end of the found match
-                    this.end_of_last_match = i + modifier.match.length;
-
-                    // Push i passed the end of this match, otherwise we'll
-                    // just read most of it again
-                    i = this.end_of_last_match - 1;
-                }
-                // Partial match found at end of the chunk.
-                // We couldnt search through the whole match because there
-                // wasnt enough data left
-                else if(chunk_remaining < modifier.match.length){
-                    this.logger.debug(`Unfinished match at EOF ${x}/${seek_length}`);
-                    // Save this data 
-                    // We'll prepend it to the next chunk should one arrive
-                    this.leftover_data = chunk.slice(i, chunk.length);
-                    
-                    // Copy data from the end of the last found match to the
-                    // previous character
-                    let slice = chunk.slice(this.end_of_last_match, i);
-                    let length = new_chunk.length + slice.length;
-                    new_chunk = Buffer.concat([new_chunk, slice], length);
-                    this.logger.debug(`Appended from chunk ${this.end_of_last_match}->${i}`);
-                    break;
-                }
+            let context = {
+                match, 
+                offset: offset + found.start, 
+                count: state.count, 
+                modifier,
+                result: found.result
+            };
+            if(lines){
+                context.line = this.getPosition(offset + found.start).line;
             }
 
-            // If there may be a match lurking at the end of this 
-            if(this.leftover_data){
-                break;
+            // Close and/or open a split segment
+            if(modifier.action === "split"){
+                this.splitChunk(output, modifier, context);
+            }
+            // Open or close a range
+            else if(modifier.isRange()){
+                await this.rangeChunk(output, modifier, context);
             }
-        
-            // If at the end of the chunk, 
-            if(!chunk_remaining){
-                let slice = chunk.slice(this.end_of_last_match, chunk.length);
-                let length = new_chunk.length + slice.length;
-                new_chunk = Buffer.concat([new_chunk, slice], length);
-                this.logger.debug(`Appended from chunk ${this.end_of_last_match}->${i}`);
+            else {
+                // Replaced and erased matches are removed
+                if(modifier.action === "replace" || modifier.action === "erase" 
+                    || modifier.action === "dropLine" || modifier.action === "include"
+                    || hook_contents){
+                    state.removed += match.length;
+                }
+                let contents = hook_contents || modifier.contents;
+                if(modifier.action === "include"){
+                    contents = this.getIncludeContents(modifier, context);
+                }
+                // Write the modifier data
+                let index = output.length;
+                await this.writeContents(output, modifier, context, contents);
+                if(this.dry_run){
+                    let after = Buffer.concat(output.slice(index));
+                    this.recordModification(modifier, context, after);
+                }
+            }
+
+            // If in prepend, write the match as well
+            if(modifier.action === "prepend"){
+                output.push(match);
             }
+
+            // Save the index at the end of the found match
+            this.end_of_last_match = found.end;
+        }
+
+        // Copy up to where a match may be lurking at the end of the chunk.
+        // Save the rest, we'll prepend it to the next chunk should one arrive.
+        let end = Math.max(scan.hold, this.end_of_last_match);
+        if(end < chunk.length){
+            this.logger.debug(`Unfinished match at ${end}`);
+            this.leftover_data = chunk.slice(end);
         }
+        this.writeData(output, chunk.slice(this.end_of_last_match, end), offset + this.end_of_last_match);
+        this.logger.debug(`Appended from chunk ${this.end_of_last_match}->${end}`);
 
-        return new_chunk;
+        // Scope markers that were not scanned again are applied
+        this.updateScopes(scan, Infinity, end);
+
+        // Keep the end of the original data for the windows of compare
+        // matches in the next chunk
+        const max_window = matcher.max_window;
+        if(max_window && end){
+            let history = Buffer.concat([this.history, chunk.slice(0, end)]);
+            this.history = history.slice(Math.max(history.length - max_window, 0));
+        }
+
+        // Keep the original data of an extracted range in case it is 
+        // dropped, to record its removal
+        if(this.dry_run && this.open_range && this.open_range.action === "extractBetween"){
+            let state = this.getModifierState(this.open_range);
+            state.pending.push(chunk.slice(Math.max(state.range_start - offset, 0), end));
+        }
+
+        this.finishRange(output);
+        let data = this.finishSplits(output);
+        // Lines and columns are counted for dry run edits, compare events,
+        // and line numbers
+        if(this.dry_run || matcher.actions.has("compare") || lines){
+            this.getPosition(offset + end);
+        }
+        if(end > 0){
+            this.line_start = chunk[end - 1] === 0x0a;
+        }
+        // In a dry run the original data passes through
+        if(this.dry_run){
+            data = chunk.slice(0, end);
+        }
+        this.process_time += process.hrtime.bigint() - time;
+        return data;
     }
 }
 
-module.exports = DataTransform;
\ No newline at end of file
+module.exports = DataTransform;
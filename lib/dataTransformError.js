@@ -0,0 +1,51 @@
+/**
+ * An error of a DataTransform that was caused by a modifier.
+ * @extends {Error}
+ * @example
+ * datatransform.on('error', (error) => {
+ *     if(error instanceof DataTransformError){
+ *         console.error(error.modifier.action, error.offset, error.cause);
+ *     }
+ * });
+ */
+class DataTransformError extends Error {
+
+    /**
+     * Constructor
+     * @param {String} message
+     * @param {Object} [details]
+     * @param {Modifier} [details.modifier] - Modifier that caused the error
+     * @param {Number} [details.offset] - Offset in the stream of the match
+     * that caused the error
+     * @param {Error} [details.cause] - Original error
+     */
+    constructor(message, details = {}){
+        super(message);
+
+        /**
+         * Name of the error
+         * @type {String}
+         */
+        this.name = "DataTransformError";
+
+        /**
+         * Modifier that caused the error
+         * @type {Modifier}
+         */
+        this.modifier = details.modifier || null;
+
+        /**
+         * Offset in the stream of the match that caused the error
+         * @type {Number}
+         */
+        this.offset = typeof details.offset === "number" ? details.offset : null;
+
+        /**
+         * Original error
+         * @type {Error}
+         */
+        this.cause = details.cause || null;
+    }
+}
+
+module.exports = DataTransformError;
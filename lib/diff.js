@@ -0,0 +1,186 @@
+/**
+ * Renders the edits of a dry run of a DataTransform as a unified diff.
+ * @example
+ * let datatransform = new DataTransform({dryRun: true})
+ *     .replace("cat", {string: "dog"});
+ * datatransform.on('edits', (edits) => {
+ *     console.log(Diff.unified(original, edits, {path: "index.html"}));
+ * });
+ */
+class Diff {
+
+    /**
+     * Render edits as a unified diff.
+     * As a dry run passes data through unchanged, its output can be used
+     * as the original data.
+     * @param {Buffer|String} original - Data that the edits were made to
+     * @param {Object[]} edits - Edits of a dry run, in order of offset
+     * @param {Object} [options]
+     * @param {String} [options.path="data"] - Path to name in the headers
+     * @param {Number} [options.context=3] - Number of unchanged lines to
+     * show around changed lines
+     * @param {String} [options.encoding="utf8"] - Encoding to decode lines
+     * @returns {String} Empty if there are no edits
+     */
+    static unified(original, edits, options = {}){
+        const path = options.path || "data";
+        const context = typeof options.context === "number" ? options.context : 3;
+        const encoding = options.encoding || "utf8";
+        if(!Buffer.isBuffer(original)){
+            original = Buffer.from(original, encoding);
+        }
+        if(!edits.length){
+            return "";
+        }
+
+        let lines = Diff.getLines(original);
+        let changes = Diff.getChanges(original, lines, edits);
+        let output = [`--- a/${path}`, `+++ b/${path}`];
+        // Difference between new and old line numbers so far
+        let delta = 0;
+        let i = 0;
+        while(i < changes.length){
+            // Changes that are close enough share a hunk
+            let last = i;
+            while(last + 1 < changes.length
+                && changes[last + 1].first - changes[last].last - 1 <= context * 2){
+                last++;
+            }
+            let first_line = Math.max(changes[i].first - context, 0);
+            let last_line = Math.min(changes[last].last + context, lines.length - 1);
+            let body = [];
+            let old_count = 0;
+            let new_count = 0;
+            let line = first_line;
+            for(let x = i; x <= last; x++){
+                const change = changes[x];
+                for(; line < change.first; line++){
+                    body.push(...Diff.formatLine(" ", original, lines[line], encoding));
+                    old_count++;
+                    new_count++;
+                }
+                for(; line <= change.last; line++){
+                    body.push(...Diff.formatLine("-", original, lines[line], encoding));
+                    old_count++;
+                }
+                let new_lines = Diff.getLines(change.data);
+                for(let y = 0; y < new_lines.length; y++){
+                    body.push(...Diff.formatLine("+", change.data, new_lines[y], encoding));
+                    new_count++;
+                }
+            }
+            for(; line <= last_line; line++){
+                body.push(...Diff.formatLine(" ", original, lines[line], encoding));
+                old_count++;
+                new_count++;
+            }
+            let old_start = old_count ? first_line + 1 : first_line;
+            let new_start = new_count ? first_line + 1 + delta : first_line + delta;
+            output.push(`@@ -${old_start},${old_count} +${new_start},${new_count} @@`);
+            output.push(...body);
+            delta += new_count - old_count;
+            i = last + 1;
+        }
+        return output.join("\n") + "\n";
+    }
+
+    /**
+     * Get the start and end of each line in some data.
+     * Line ends are included in their line.
+     * @param {Buffer} data
+     * @returns {Array<{start: Number, end: Number}>}
+     */
+    static getLines(data){
+        let lines = [];
+        let start = 0;
+        while(start < data.length){
+            let end = data.indexOf(0x0a, start);
+            end = end === -1 ? data.length : end + 1;
+            lines.push({start, end});
+            start = end;
+        }
+        return lines;
+    }
+
+    /**
+     * Group edits into changes of whole lines.
+     * Edits that touch the same or adjacent lines are one change.
+     * @param {Buffer} original
+     * @param {Array<{start: Number, end: Number}>} lines
+     * @param {Object[]} edits
+     * @returns {Array<{first: Number, last: Number, data: Buffer}>} First
+     * and last line of each change, and the new data of those lines
+     */
+    static getChanges(original, lines, edits){
+        // The line that contains an offset, or the line after the last
+        const getLine = (offset) => {
+            let low = 0;
+            let high = lines.length;
+            while(low < high){
+                let middle = (low + high) >> 1;
+                if(lines[middle].end <= offset){
+                    low = middle + 1;
+                }
+                else {
+                    high = middle;
+                }
+            }
+            return low;
+        };
+
+        let changes = [];
+        for(let i = 0; i < edits.length; i++){
+            const edit = edits[i];
+            let first = getLine(edit.offset);
+            let last = Math.max(getLine(edit.offset + edit.before.length - 1), first);
+            // An edit at the end of data without a final line end
+            // is part of the last line
+            if(first === lines.length && first > 0 && original[original.length - 1] !== 0x0a){
+                first--;
+            }
+            last = Math.min(Math.max(last, first), lines.length - 1);
+            let change = changes[changes.length - 1];
+            if(change && first <= change.last + 1){
+                change.last = Math.max(change.last, last);
+                change.edits.push(edit);
+            }
+            else {
+                changes.push({first, last, edits: [edit]});
+            }
+        }
+
+        for(let i = 0; i < changes.length; i++){
+            let change = changes[i];
+            let start = change.first < lines.length ? lines[change.first].start : original.length;
+            let end = change.last >= 0 ? lines[change.last].end : original.length;
+            let pieces = [];
+            let position = start;
+            for(let x = 0; x < change.edits.length; x++){
+                const edit = change.edits[x];
+                pieces.push(original.slice(position, edit.offset), edit.after);
+                position = edit.offset + edit.before.length;
+            }
+            pieces.push(original.slice(position, end));
+            change.data = Buffer.concat(pieces);
+        }
+        return changes;
+    }
+
+    /**
+     * Format a line of a hunk.
+     * @param {String} prefix - " ", "-", or "+"
+     * @param {Buffer} data
+     * @param {{start: Number, end: Number}} line
+     * @param {String} encoding
+     * @returns {String[]} The line, and a marker if it has no line end
+     */
+    static formatLine(prefix, data, line, encoding){
+        let text = data.toString(encoding, line.start, line.end);
+        if(text.endsWith("\n")){
+            return [prefix + text.slice(0, -1)];
+        }
+        return [prefix + text, "\\ No newline at end of file"];
+    }
+}
+
+module.exports = Diff;
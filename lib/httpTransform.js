@@ -0,0 +1,354 @@
+const Logger = require('@voliware/logger');
+const Compression = require('./compression');
+
+/**
+ * Transforms the bodies of HTTP responses with a DataTransform.
+ * A response is wrapped before its body is written. When its headers are
+ * written, the response is only transformed if it has a body, a content
+ * type that is accepted, and a content encoding that is supported.
+ * Encoded bodies are decoded, transformed, and encoded again.
+ * The Content-Length of a transformed body is recomputed when the
+ * DataTransform concatenates the body, and removed otherwise.
+ * @example
+ * let http_transform = new HttpTransform((req, res) => {
+ *     return new DataTransform().replace("{{user}}", {string: req.user});
+ * });
+ * // Connect or Express
+ * app.use(http_transform.middleware());
+ * // http
+ * Http.createServer((req, res) => {
+ *     http_transform.wrap(req, res);
+ *     res.setHeader("Content-Type", "text/html");
+ *     res.end(html);
+ * });
+ */
+class HttpTransform {
+
+    /**
+     * Constructor
+     * @param {Function} create - Function that is passed the request and
+     * the response, and returns a new DataTransform for the response body
+     * @param {Object} [options]
+     * @param {Array<String|RegExp>|Function} [options.types] - Content types
+     * of responses to transform. Strings can end with a wildcard, such as
+     * "text/*". A function is passed the content type, without parameters,
+     * and the response. Defaults to "text/*", "application/javascript",
+     * and "application/json".
+     */
+    constructor(create, options = {}){
+
+        /**
+         * Function that creates a DataTransform for a response
+         * @type {Function}
+         */
+        this.create = create;
+
+        /**
+         * Content types of responses to transform
+         * @type {Array<String|RegExp>|Function}
+         */
+        this.types = options.types || ["text/*", "application/javascript", "application/json"];
+
+        /**
+         * Logger
+         * @type {Logger}
+         */
+        this.logger = new Logger("HTTP", {level: "error"});
+    }
+
+    /**
+     * Get a Connect or Express style middleware that wraps each response.
+     * @returns {Function} Function that is passed the request, the
+     * response, and the next function
+     */
+    middleware(){
+        return (req, res, next) => {
+            this.wrap(req, res);
+            next();
+        };
+    }
+
+    /**
+     * Wrap a response, so that its body is transformed if it should be.
+     * Must be called before the headers or body of the response are written.
+     * The writers of a transformed response wait for the stream that the 
+     * body is written to, so drain listeners of the response are added to
+     * that stream instead.
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     */
+    wrap(req, res){
+        const original = {
+            writeHead: res.writeHead,
+            write: res.write,
+            end: res.end,
+            on: res.on,
+            addListener: res.addListener,
+            removeListener: res.removeListener,
+            off: res.off
+        };
+        // Drain listeners added before it is known where the body is written
+        let drain_listeners = [];
+        // Where the body is written, once it is known whether to transform it
+        let input = null;
+        const start = () => {
+            if(input === null){
+                if(this.shouldTransform(req, res)){
+                    input = this.createPipeline(req, res, original);
+                }
+                else {
+                    input = false;
+                    Object.assign(res, original);
+                }
+                for(let i = 0; i < drain_listeners.length; i++){
+                    (input || res).on('drain', drain_listeners[i]);
+                }
+                drain_listeners = [];
+            }
+            return input;
+        };
+
+        res.on = res.addListener = (event, listener) => {
+            if(event !== 'drain'){
+                return original.on.call(res, event, listener);
+            }
+            if(input){
+                input.on(event, listener);
+            }
+            else {
+                drain_listeners.push(listener);
+            }
+            return res;
+        };
+        res.removeListener = res.off = (event, listener) => {
+            if(event !== 'drain'){
+                return original.removeListener.call(res, event, listener);
+            }
+            if(input){
+                input.removeListener(event, listener);
+            }
+            else {
+                drain_listeners = drain_listeners.filter((other) => other !== listener);
+            }
+            return res;
+        };
+
+        res.writeHead = (status, message, headers) => {
+            if(typeof message !== "string"){
+                headers = message;
+                message = undefined;
+            }
+            res.statusCode = status;
+            if(message){
+                res.statusMessage = message;
+            }
+            this.setHeaders(res, headers);
+            // The headers of a transformed response are written with its body
+            if(start()){
+                return res;
+            }
+            return res.writeHead(res.statusCode, res.statusMessage);
+        };
+        res.write = (chunk, encoding, callback) => {
+            if(start()){
+                return input.write(chunk, encoding, callback);
+            }
+            return res.write(chunk, encoding, callback);
+        };
+        res.end = (chunk, encoding, callback) => {
+            if(start()){
+                if(typeof chunk === "function"){
+                    input.end(chunk);
+                }
+                else if(chunk){
+                    input.end(chunk, encoding, callback);
+                }
+                else {
+                    input.end(encoding || callback);
+                }
+                return res;
+            }
+            return res.end(chunk, encoding, callback);
+        };
+    }
+
+    /**
+     * Set the headers passed to writeHead on a response.
+     * @param {ServerResponse} res
+     * @param {Object|Array} [headers] - Object of headers, or an array of
+     * alternating names and values
+     */
+    setHeaders(res, headers){
+        if(Array.isArray(headers)){
+            for(let i = 0; i + 1 < headers.length; i += 2){
+                res.setHeader(headers[i], headers[i + 1]);
+            }
+        }
+        else if(headers){
+            for(let name in headers){
+                res.setHeader(name, headers[name]);
+            }
+        }
+    }
+
+    /**
+     * Check if the body of a response should be transformed.
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     * @returns {Boolean}
+     */
+    shouldTransform(req, res){
+        // No body, or only part of one
+        if(req.method === "HEAD" || res.statusCode < 200
+            || res.statusCode === 204 || res.statusCode === 206 || res.statusCode === 304){
+            return false;
+        }
+        let encoding = this.getContentEncoding(res);
+        if(encoding !== "identity" && !Compression.isSupported(encoding)){
+            this.logger.debug(`Content encoding ${encoding} is not supported`);
+            return false;
+        }
+        let type = String(res.getHeader("Content-Type") || "").split(";")[0].trim().toLowerCase();
+        return !!type && this.isTypeAccepted(type, res);
+    }
+
+    /**
+     * Check if a content type is one to transform.
+     * @param {String} type - Content type without parameters
+     * @param {ServerResponse} res
+     * @returns {Boolean}
+     */
+    isTypeAccepted(type, res){
+        if(typeof this.types === "function"){
+            return !!this.types(type, res);
+        }
+        return this.types.some((accepted) => {
+            if(accepted instanceof RegExp){
+                return accepted.test(type);
+            }
+            accepted = accepted.toLowerCase();
+            if(accepted.endsWith("/*")){
+                return type.startsWith(accepted.slice(0, -1));
+            }
+            return type === accepted;
+        });
+    }
+
+    /**
+     * Get the content encoding of a response.
+     * @param {ServerResponse} res
+     * @returns {String} "identity" if there is none
+     */
+    getContentEncoding(res){
+        let encoding = String(res.getHeader("Content-Encoding") || "").trim().toLowerCase();
+        return encoding || "identity";
+    }
+
+    /**
+     * Create the streams that the body of a response is written to,
+     * and that write the transformed body to the response.
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     * @param {Object} original - The original writeHead, write, end, and
+     * listener functions of the response
+     * @returns {Writable} Stream to write the body to
+     */
+    createPipeline(req, res, original){
+        const datatransform = this.create(req, res);
+        const coding = this.getContentEncoding(res);
+        let streams = coding === "identity"
+            ? [datatransform]
+            : [Compression.createDecoder(coding), datatransform, Compression.createEncoder(coding)];
+        for(let i = 0; i < streams.length; i++){
+            if(i + 1 < streams.length){
+                streams[i].pipe(streams[i + 1]);
+            }
+            streams[i].on('error', (error) => {
+                this.handleError(error, res, original, streams);
+            });
+        }
+        const input = streams[0];
+        const output = streams[streams.length - 1];
+
+        // The body will be different
+        res.removeHeader("Content-Length");
+        res.removeHeader("Accept-Ranges");
+        let etag = res.getHeader("ETag");
+        if(typeof etag === "string" && !etag.startsWith("W/")){
+            res.setHeader("ETag", `W/${etag}`);
+        }
+
+        // A concatenated body is held until it ends, to set its length,
+        // unless the DataTransform falls back to streaming
+        let buffered = datatransform.concat ? [] : null;
+        output.on('data', (chunk) => {
+            if(buffered && datatransform.concat){
+                buffered.push(chunk);
+                return;
+            }
+            if(buffered){
+                chunk = Buffer.concat([...buffered, chunk]);
+                buffered = null;
+            }
+            // The response writes its headers with writeHead
+            res.writeHead = original.writeHead;
+            if(!original.write.call(res, chunk)){
+                output.pause();
+                const resume = () => {
+                    original.removeListener.call(res, 'drain', resume);
+                    output.resume();
+                };
+                original.on.call(res, 'drain', resume);
+            }
+        });
+        output.on('end', () => {
+            res.writeHead = original.writeHead;
+            if(buffered){
+                let body = Buffer.concat(buffered);
+                if(!res.headersSent){
+                    res.setHeader("Content-Length", body.length);
+                }
+                original.end.call(res, body);
+            }
+            else {
+                original.end.call(res);
+            }
+        });
+        return input;
+    }
+
+    /**
+     * Handle an error while transforming a response.
+     * If the headers have not been sent, the response is a 500 error.
+     * Otherwise the response is destroyed.
+     * @param {Error} error
+     * @param {ServerResponse} res
+     * @param {Object} original - The original functions of the response
+     * @param {Stream[]} streams - Streams of the pipeline
+     */
+    handleError(error, res, original, streams){
+        // Each stream of the pipeline may fail
+        if(res.destroyed || res.writableEnded){
+            return;
+        }
+        this.logger.error("Failed to transform response");
+        this.logger.error(error);
+        res.writeHead = original.writeHead;
+        for(let i = 0; i < streams.length; i++){
+            streams[i].unpipe();
+            streams[i].removeAllListeners('data');
+            streams[i].removeAllListeners('end');
+        }
+        if(res.headersSent){
+            res.destroy(error);
+            return;
+        }
+        res.statusCode = 500;
+        res.removeHeader("Content-Encoding");
+        res.removeHeader("ETag");
+        res.setHeader("Content-Length", 0);
+        original.end.call(res);
+    }
+}
+
+module.exports = HttpTransform;
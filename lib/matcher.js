@@ -0,0 +1,483 @@
+const AhoCorasick = require('./ahoCorasick');
+
+/**
+ * Finds the matches of a set of Modifiers in a chunk.
+ * Literal matches are grouped by how the chunk must be compared to them,
+ * either as is or case folded in some encoding, and each group is searched
+ * in one pass with an Aho-Corasick automaton. Regular expressions are
+ * searched lazily, only as far as they are needed.
+ * The matcher is built once per set of modifiers and holds no stream state.
+ * @example
+ * let matcher = new Matcher(modifiers);
+ * let scan = matcher.scan(chunk, 0, true, 1024);
+ * let match = scan.next(0);
+ */
+class Matcher {
+
+    /**
+     * Constructor
+     * @param {Modifier[]} modifiers
+     */
+    constructor(modifiers){
+
+        /**
+         * Modifiers that the matcher finds the matches of
+         * @type {Modifier[]}
+         */
+        this.modifiers = modifiers;
+
+        /**
+         * Groups of literal patterns that are compared to the same data
+         * @type {Object[]}
+         */
+        this.groups = [];
+
+        /**
+         * Regular expression patterns
+         * @type {Object[]}
+         */
+        this.regexes = [];
+
+        /**
+         * Patterns of positional modifiers, which match at offsets
+         * @type {Object[]}
+         */
+        this.positions = [];
+
+        /**
+         * Actions of the modifiers
+         * @type {Set<String>}
+         */
+        this.actions = new Set();
+
+        /**
+         * Largest number of bytes around a compare match to include in 
+         * its event
+         * @type {Number}
+         */
+        this.max_window = 0;
+
+        /**
+         * Whether any modifier acts on lines or is anchored to lines,
+         * so that chunks must be processed in whole lines
+         * @type {Boolean}
+         */
+        this.lines = false;
+
+        /**
+         * Whether any modifier has a scope
+         * @type {Boolean}
+         */
+        this.scopes = false;
+
+        let groups = new Map();
+        for(let i = 0; i < modifiers.length; i++){
+            const modifier = modifiers[i];
+            this.actions.add(modifier.action);
+            if(modifier.action === "compare"){
+                this.max_window = Math.max(this.max_window, modifier.window);
+            }
+            if(modifier.anchor || modifier.isLineAction()){
+                this.lines = true;
+            }
+            if(modifier.isPositional()){
+                // An empty range has nothing to erase
+                if(modifier.action === "eraseRange" && !modifier.length){
+                    continue;
+                }
+                let roles = modifier.action === "eraseRange" ? ["start", "end"] : ["match"];
+                for(let x = 0; x < roles.length; x++){
+                    this.positions.push({role: roles[x], modifier, index: i, line: false, scope: false, position: true});
+                }
+                continue;
+            }
+            let patterns = modifier.end
+                ? [{role: "start", match: modifier.start}, {role: "end", match: modifier.end}]
+                : [{role: "match", match: modifier.match}];
+            if(modifier.scope){
+                this.scopes = true;
+                patterns.push(
+                    {role: "scope_start", match: modifier.scope.start, scope: true},
+                    {role: "scope_end", match: modifier.scope.end, scope: true}
+                );
+            }
+            for(let x = 0; x < patterns.length; x++){
+                let pattern = patterns[x];
+                pattern.modifier = modifier;
+                pattern.index = i;
+                pattern.line = !pattern.scope && modifier.isLineAction();
+                pattern.scope = !!pattern.scope;
+                pattern.position = false;
+                if(pattern.match instanceof RegExp){
+                    let flags = pattern.match.flags.replace("y", "") + "g";
+                    pattern.search = new RegExp(pattern.match.source, flags);
+                    this.regexes.push(pattern);
+                }
+                // Empty matches are ignored
+                else if(pattern.match.length){
+                    let key = modifier.ignore_case ? modifier.encoding : "";
+                    let group = groups.get(key);
+                    if(!group){
+                        group = {
+                            case_folder: modifier.case_folder,
+                            patterns: []
+                        };
+                        groups.set(key, group);
+                        this.groups.push(group);
+                    }
+                    group.patterns.push(pattern);
+                }
+            }
+        }
+
+        for(let i = 0; i < this.groups.length; i++){
+            let group = this.groups[i];
+            group.automaton = new AhoCorasick(group.patterns.map((pattern) => {
+                return pattern.match;
+            }));
+        }
+    }
+
+    /**
+     * Scan a chunk for matches.
+     * @param {Buffer} chunk
+     * @param {Number} offset - Offset of the chunk in the whole stream
+     * @param {Boolean} final - Whether this is the last chunk in the stream
+     * @param {Number} max_match_length - The longest that a regular
+     * expression match can be, unless its modifier sets its own
+     * @returns {MatcherScan}
+     */
+    scan(chunk, offset, final, max_match_length){
+        return new MatcherScan(this, chunk, offset, final, max_match_length);
+    }
+
+    /**
+     * Get the start of the line that contains a position in a chunk.
+     * @param {Buffer} chunk 
+     * @param {Number} index 
+     * @returns {Number} 0 if the line starts at or before the chunk
+     */
+    static getLineStart(chunk, index){
+        return index > 0 ? chunk.lastIndexOf(0x0a, index - 1) + 1 : 0;
+    }
+
+    /**
+     * Get the offset in the stream that a positional pattern matches at.
+     * @param {Object} pattern 
+     * @returns {Number} Infinity for the end of the stream
+     */
+    static getPositionOffset(pattern){
+        const modifier = pattern.modifier;
+        switch(modifier.action){
+            case "header":
+                return 0;
+            case "footer":
+                return Infinity;
+            case "eraseRange":
+                return pattern.role === "start" ? modifier.offset : modifier.offset + modifier.length;
+        }
+        return modifier.offset;
+    }
+
+    /**
+     * Get the order of a positional pattern among positional patterns at
+     * the same offset. Ranges that end there end first, so that insertions
+     * there are not erased, then contents are inserted, then ranges start,
+     * and footers go last.
+     * @param {Object} pattern 
+     * @returns {Number}
+     */
+    static getPositionRank(pattern){
+        if(pattern.modifier.action === "footer"){
+            return 3;
+        }
+        if(pattern.role === "end"){
+            return 0;
+        }
+        return pattern.role === "start" ? 2 : 1;
+    }
+
+    /**
+     * Check if a match comes before another match that starts at the same
+     * position, which is the case for matches of positional actions, then
+     * of line actions, then for matches of modifiers that were added first.
+     * @param {Object} match 
+     * @param {Object} other 
+     * @returns {Boolean}
+     */
+    static isFirst(match, other){
+        if(match.pattern.position !== other.pattern.position){
+            return match.pattern.position;
+        }
+        if(match.pattern.position){
+            let rank = Matcher.getPositionRank(match.pattern) - Matcher.getPositionRank(other.pattern);
+            if(rank){
+                return rank < 0;
+            }
+        }
+        if(match.pattern.line !== other.pattern.line){
+            return match.pattern.line;
+        }
+        return match.pattern.index < other.pattern.index;
+    }
+}
+
+/**
+ * The matches of a Matcher in one chunk.
+ * Matches are returned in order of where they start, then in order of
+ * their modifiers. Matches that start at or after the hold position may
+ * change once more data arrives, and should be left for the next chunk.
+ */
+class MatcherScan {
+
+    /**
+     * Constructor.
+     * Searches the chunk for all literal matches, and all scope markers,
+     * and finds the positional matches in the chunk.
+     * @param {Matcher} matcher
+     * @param {Buffer} chunk
+     * @param {Number} offset - Offset of the chunk in the whole stream
+     * @param {Boolean} final - Whether this is the last chunk in the stream
+     * @param {Number} max_match_length
+     */
+    constructor(matcher, chunk, offset, final, max_match_length){
+
+        /**
+         * Chunk being scanned
+         * @type {Buffer}
+         */
+        this.chunk = chunk;
+
+        /**
+         * Position in the chunk from which matches may still change
+         * @type {Number}
+         */
+        this.hold = chunk.length;
+
+        /**
+         * Literal matches, sorted
+         * @type {Object[]}
+         */
+        this.matches = [];
+
+        /**
+         * Position of the next literal match to return
+         * @type {Number}
+         */
+        this.position = 0;
+
+        /**
+         * The chunk as latin1 text, for regular expressions
+         * @type {String}
+         */
+        this.text = null;
+
+        /**
+         * Matches of scope markers, in order of where they open or close
+         * their scope. A scope opens at the end of its start marker, and
+         * closes at the start of its end marker.
+         * @type {Object[]}
+         */
+        this.scopes = [];
+
+        /**
+         * Position of the next scope marker to apply
+         * @type {Number}
+         */
+        this.scope_position = 0;
+
+        /**
+         * Search state of each regular expression pattern, 
+         * other than scope markers
+         * @type {Object[]}
+         */
+        this.regexes = [];
+        for(let i = 0; i < matcher.regexes.length; i++){
+            const pattern = matcher.regexes[i];
+            let state = {pattern, from: 0, next: undefined};
+            if(!pattern.scope){
+                this.regexes.push(state);
+                continue;
+            }
+            let match;
+            while((match = this.searchRegex(state, state.from))){
+                this.scopes.push(match);
+                state.from = match.start + 1;
+            }
+        }
+
+        for(let i = 0; i < matcher.groups.length; i++){
+            const group = matcher.groups[i];
+            let data = chunk;
+            let length = chunk.length;
+            // A character at the end of the chunk may be incomplete, and
+            // can't be folded until the rest of it arrives
+            if(group.case_folder){
+                data = group.case_folder.fold(chunk, offset);
+                if(!final){
+                    length = group.case_folder.getCompleteLength(chunk, offset);
+                }
+            }
+            let depth = group.automaton.search(data, length, (index, end) => {
+                const pattern = group.patterns[index];
+                let start = end - pattern.match.length;
+                // utf16le matches can only start on a code unit
+                if(pattern.modifier.encoding === "utf16le" && (offset + start) % 2){
+                    return;
+                }
+                let match = {start, end, pattern, result: null};
+                if(pattern.scope){
+                    this.scopes.push(match);
+                }
+                else {
+                    this.matches.push(pattern.line ? this.getLineMatch(match) : match);
+                }
+            });
+            if(!final){
+                this.hold = Math.min(this.hold, length - depth);
+            }
+        }
+        // Positional matches are empty matches at their offsets.
+        // Insertions past the end of the stream are at its end, while
+        // a range that starts past the end has nothing to erase.
+        for(let i = 0; i < matcher.positions.length; i++){
+            const pattern = matcher.positions[i];
+            let at = Matcher.getPositionOffset(pattern) - offset;
+            if(at > chunk.length && final && pattern.role === "match"){
+                at = chunk.length;
+            }
+            if(at >= 0 && (at < chunk.length || (at === chunk.length && final))){
+                this.matches.push({start: at, end: at, pattern, result: null});
+            }
+        }
+        this.matches.sort((a, b) => {
+            return (a.start - b.start) || (Matcher.isFirst(a, b) ? -1 : 1);
+        });
+        for(let i = 0; i < this.scopes.length; i++){
+            let scope = this.scopes[i];
+            scope.at = scope.pattern.role === "scope_start" ? scope.end : scope.start;
+        }
+        this.scopes.sort((a, b) => {
+            return (a.at - b.at) || (a.start - b.start);
+        });
+
+        // If fewer values are left in the chunk than the longest allowed
+        // regular expression match, we can't know if it would match, or how
+        // far it would go, until more data arrives
+        if(!final){
+            for(let i = 0; i < matcher.regexes.length; i++){
+                const modifier = matcher.regexes[i].modifier;
+                let max_length = modifier.max_length || max_match_length;
+                this.hold = Math.max(Math.min(this.hold, chunk.length - max_length), 0);
+            }
+        }
+    }
+
+    /**
+     * Find the next match of a regular expression pattern.
+     * @param {Object} state - Search state of the pattern
+     * @param {Number} from - Position to search from
+     * @returns {Object|null}
+     */
+    searchRegex(state, from){
+        // Latin1 maps each value in the chunk to one char
+        if(this.text === null){
+            this.text = this.chunk.toString('latin1');
+        }
+        const search = state.pattern.search;
+        search.lastIndex = from;
+        let result;
+        while((result = search.exec(this.text))){
+            // Empty matches are ignored
+            if(result[0].length){
+                let start = result.index;
+                let end = start + result[0].length;
+                let match = {start, end, pattern: state.pattern, result};
+                return state.pattern.line ? this.getLineMatch(match) : match;
+            }
+            search.lastIndex++;
+        }
+        return null;
+    }
+
+    /**
+     * Move the match of a line action to the part of its line that it acts
+     * on. A dropLine match covers the line and its line end, a prefixLine
+     * match is empty at the start of the line, and a suffixLine match is 
+     * empty at the end of the line, before its line end. 
+     * The line is the one that the original match starts in.
+     * @param {Object} match 
+     * @returns {Object} Match that also has the original match_start and 
+     * match_end, and the line_start and line_end of the line without its
+     * line end
+     */
+    getLineMatch(match){
+        const chunk = this.chunk;
+        let line_start = Matcher.getLineStart(chunk, match.start);
+        let newline = chunk.indexOf(0x0a, match.start);
+        let line_end = newline === -1 ? chunk.length : newline;
+        if(newline > line_start && chunk[newline - 1] === 0x0d){
+            line_end--;
+        }
+        let start = line_start;
+        let end = line_start;
+        switch(match.pattern.modifier.action){
+            case "dropLine":
+                end = newline === -1 ? chunk.length : newline + 1;
+                break;
+            case "suffixLine":
+                start = end = line_end;
+                break;
+        }
+        return Object.assign(match, {
+            start, 
+            end, 
+            match_start: match.start, 
+            match_end: match.end, 
+            line_start, 
+            line_end
+        });
+    }
+
+    /**
+     * Get the next match that starts at or after a position.
+     * Each match is only returned once.
+     * @param {Number} cursor
+     * @returns {Object|null} Match with start, end, pattern, and result if
+     * it is a regular expression match
+     */
+    next(cursor){
+        while(this.position < this.matches.length && this.matches[this.position].start < cursor){
+            this.position++;
+        }
+        let best = this.matches[this.position] || null;
+        let best_regex = null;
+        for(let i = 0; i < this.regexes.length; i++){
+            let state = this.regexes[i];
+            if(state.next === undefined || (state.next && state.next.start < cursor)){
+                state.next = this.searchRegex(state, Math.max(cursor, state.from));
+                // A line match can start before its original match
+                while(state.next && state.next.start < cursor){
+                    state.next = this.searchRegex(state, state.next.match_start + 1);
+                }
+            }
+            let next = state.next;
+            if(next && (!best
+                || next.start < best.start
+                || (next.start === best.start && Matcher.isFirst(next, best)))){
+                best = next;
+                best_regex = state;
+            }
+        }
+        if(best_regex){
+            best_regex.from = (best.pattern.line ? best.match_start : best.start) + 1;
+            best_regex.next = undefined;
+        }
+        else if(best){
+            this.position++;
+        }
+        return best;
+    }
+}
+
+module.exports = Matcher;
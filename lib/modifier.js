@@ -1,5 +1,20 @@
 const Fs = require('fs');
 const Glob = require('glob');
+const CaseFolder = require('./caseFolder');
+
+/**
+ * Default match of the include action, a server side include directive
+ * whose first capture is the path of the file to include
+ * @type {RegExp}
+ */
+const include_directive = /<!--#include file="([^"]+)"\s*-->/;
+
+/**
+ * Original sources of regular expressions whose non-ASCII characters were
+ * encoded, for messages
+ * @type {WeakMap<RegExp, String>}
+ */
+const regex_sources = new WeakMap();
 
 /**
  * An object defining how to modify a set of data.
@@ -10,52 +25,313 @@ const Glob = require('glob');
  * let modifier_b = new Modifier("append", Buffer.from([0xaa]), {buffer: Buffer.from([0xff])});
  * // append contents of "filepath" after every "<!--template-->"
  * let modifier_c = new Modifier("append", "<!--template-->", {file: filepath});
+ * // split data into segments found between "<S>" and "<E>"
+ * let modifier_d = new Modifier("split", {start: "<S>", end: "<E>"});
+ * // replace every "<!-- include:name -->" with "<include name>"
+ * let modifier_e = new Modifier("replace", /<!-- include:(\w+) -->/, {string: "<include $1>"});
+ * // erase every "café", "Café", or "CAFÉ" in utf16le data
+ * let modifier_f = new Modifier("erase", "café", null, {encoding: "utf16le", ignoreCase: true});
+ * // append the time after every "<!--time-->", when it is found
+ * let modifier_g = new Modifier("append", "<!--time-->", {fn: () => Date.now()});
+ * // replace only the first "</head>"
+ * let modifier_h = new Modifier("replace", "</head>", {string: "<script></script></head>"}, {first: true});
+ * // erase every block between "<!-- dev -->" and "<!-- /dev -->"
+ * let modifier_i = new Modifier("eraseBetween", {start: "<!-- dev -->", end: "<!-- /dev -->"});
+ * // drop every line that starts with "#"
+ * let modifier_j = new Modifier("dropLine", "#", null, {anchor: "start"});
+ * // replace "http://" only between "<head>" and "</head>"
+ * let modifier_k = new Modifier("replace", "http://", {string: "https://"}, {
+ *     scope: {start: "<head>", end: "</head>"}
+ * });
+ * // replace every <!--#include file="path"--> with the file at path
+ * let modifier_l = new Modifier("include");
+ * // insert a license banner before the data
+ * let modifier_m = new Modifier("header", null, {file: "LICENSE"});
+ * // erase 3 bytes at offset 0, such as a utf8 byte order mark
+ * let modifier_n = new Modifier("eraseRange", null, null, {offset: 0, length: 3});
  */
 class Modifier {
 
     /**
      * Constructor.
-     * Will read a directory recursively and synchronously if the
-     * contents.directory parameter is passed as a valid directory string. 
+     * Will search a directory synchronously if the contents.directory 
+     * parameter is passed as a valid directory string. The files found are
+     * used in place of the directory, unless the DataTransform has a
+     * ContentCache, which searches the directory again when it changes.
      * @param {String} action - The modifier action
-     * @param {Buffer|String} match - What to find in some data
-     * @param {Object|Object[]} contents 
+     * @param {Buffer|Object|RegExp|String} match - What to find in some data,
+     * or a set of start/end delimiters. Regular expressions are matched 
+     * against data decoded as latin1, so that each char is one byte, and 
+     * their non-ASCII characters are converted to bytes of the encoding.
+     * The include action defaults to <!--#include file="path"-->.
+     * Positional actions have no match.
+     * @param {Buffer|RegExp|String} [match.start] - Start delimiter
+     * @param {Buffer|RegExp|String} [match.end] - End delimiter
+     * @param {Object|Object[]} [contents]
      * @param {Buffer} [contents.buffer] - Buffer of data
      * @param {String} [contents.directory] - Readable file directory. Supports
      * regex based search such as /path/to/files/*.js, /path/to/files/*.*, etc
      * @param {Boolean} [contents.directory_options] - Option to path when 
      * using the directroy string. These are the options for the glob module.
      * @param {String} [contents.file] - Readable file path
+     * @param {Function} [contents.fn] - Function that is passed the context
+     * of the match, and returns or resolves a buffer or string
      * @param {String} [contents.string] - String data
+     * @param {Object} [options]
+     * @param {Boolean} [options.push=true] - For the "split" action, whether
+     * to push each segment downstream as a separate chunk. If false, the
+     * data passes through unchanged and segments are only emitted.
+     * @param {Number} [options.maxLength] - The longest that a regular 
+     * expression match can be. Defaults to the DataTransform maxMatchLength.
+     * @param {String} [options.encoding="utf8"] - Encoding of the data, used
+     * to convert string matches and string contents to bytes. Supports 
+     * "utf8", "latin1", and "utf16le".
+     * @param {Boolean} [options.ignoreCase=false] - Whether to match without
+     * regard to case
+     * @param {Boolean} [options.first=false] - Only act on the first 
+     * occurrence. Same as a limit of 1, so it can not be combined with the
+     * limit or nth options.
+     * @param {Number} [options.nth] - Only act on the nth occurrence
+     * @param {Number} [options.every] - Only act on every nth occurrence
+     * @param {Number} [options.limit] - Act on at most this many occurrences
+     * @param {Boolean} [options.keepMarkers=false] - For range actions, 
+     * whether to keep the start and end markers
+     * @param {String} [options.unterminated="drop"] - For range actions and 
+     * start/end splits, what to do with a range that has not ended when the
+     * stream ends. "drop" discards it, "keep" keeps it as it was, and 
+     * "error" causes a stream error.
+     * @param {Function} [options.hook] - For the "compare" action, a 
+     * function that is passed the compare event of each match, and returns
+     * or resolves "keep", "erase", or {replace: contents}
+     * @param {Number} [options.window=0] - For the "compare" action, how 
+     * many bytes before and after a match to include in its event
+     * @param {String} [options.anchor] - Only match at a line start with 
+     * "start", at a line end with "end", or a whole line with "line". 
+     * Line ends are LF or CRLF, and the end of the data.
+     * @param {Object} [options.scope] - Only act inside a region, between a
+     * start and an end marker. Scopes nest, so a start marker inside the
+     * scope must be closed by its own end marker before the scope ends.
+     * @param {Buffer|RegExp|String} [options.scope.start] - Start marker
+     * @param {Buffer|RegExp|String} [options.scope.end] - End marker
+     * @param {Boolean} [options.scope.outside=false] - Whether to only act
+     * outside of the region instead
+     * @param {Number} [options.priority=0] - When the DataTransform resolves
+     * overlapping matches by priority, matches of modifiers with a higher 
+     * priority win
+     * @param {Number} [options.offset] - For the "insertAt" and "eraseRange"
+     * actions, the offset in the original data to act at
+     * @param {Number} [options.length] - For the "eraseRange" action, the 
+     * number of bytes to erase
      */
-    constructor(action, match, contents){
+    constructor(action, match, contents, options = {}){
 
         /**
          * Action to perform.
-         * Supports "append", "prepend", "replace", "erase", "compare"
+         * Supports "append", "prepend", "replace", "erase", "compare", "split",
+         * the range actions "eraseBetween", "replaceBetween", and 
+         * "extractBetween", whose match must be a start/end pair, and the
+         * line actions "dropLine", "prefixLine", and "suffixLine", which act 
+         * on the line that the match starts in, and "include", which 
+         * replaces a regular expression match with the file at the path 
+         * that it captures. The positional actions "header", "footer", 
+         * "insertAt", and "eraseRange" act at offsets of the data instead
+         * of at matches.
          * @type {String}
          */
         this.action = action || "";
 
         /**
-         * String converted to look for, converted to char code array
-         * @type {Number[]}
+         * Offset in the original data that a positional action acts at
+         * @type {Number}
          */
-        this.match = match || "";
-        // Convert numbers to strings
-        if(typeof this.match === "number"){
-            this.match = `${this.match}`;
+        this.offset = 0;
+        if(this.action === "insertAt" || this.action === "eraseRange"){
+            this.offset = options.offset;
+            if(!Number.isInteger(this.offset) || this.offset < 0){
+                throw new Error(`Invalid offset option ${this.offset}`);
+            }
         }
-        // Convert strings to buffers
-        if(typeof this.match === "string"){
-            this.match = this.getStringAsCharChode(this.match);
+
+        /**
+         * Number of bytes that an eraseRange action erases
+         * @type {Number}
+         */
+        this.length = 0;
+        if(this.action === "eraseRange"){
+            this.length = options.length;
+            if(!Number.isInteger(this.length) || this.length < 0){
+                throw new Error(`Invalid length option ${this.length}`);
+            }
         }
 
-        // Convert contents to array
-        if(contents){
-            if(!Array.isArray(contents)){
-                contents = [contents];
+        if(this.action === "include"){
+            if(typeof match === "undefined" || match === null){
+                match = include_directive;
+            }
+            if(!(match instanceof RegExp)){
+                throw new Error("The include action requires a regular expression that captures a path");
+            }
+        }
+
+        /**
+         * Encoding of the data
+         * @type {String}
+         */
+        this.encoding = CaseFolder.normalizeEncoding(options.encoding);
+
+        /**
+         * Whether to match without regard to case
+         * @type {Boolean}
+         */
+        this.ignore_case = !!options.ignoreCase;
+
+        /**
+         * Case folder for the encoding, if matching without regard to case
+         * @type {CaseFolder}
+         */
+        this.case_folder = this.ignore_case ? new CaseFolder(this.encoding) : null;
+
+        /**
+         * Start delimiter, if the match is a start/end pair
+         * @type {Buffer|RegExp}
+         */
+        this.start = null;
+
+        /**
+         * End delimiter, if the match is a start/end pair
+         * @type {Buffer|RegExp}
+         */
+        this.end = null;
+
+        if(this.isDelimiterPair(match)){
+            this.start = this.parseMatch(match.start);
+            this.end = this.parseMatch(match.end);
+        }
+
+        /**
+         * What to look for, converted to a buffer in the modifier encoding.
+         * If the match is a start/end pair, this is the start delimiter.
+         * Regular expressions are converted to sticky expressions.
+         * When ignoring case, buffers are case folded.
+         * @type {Buffer|RegExp}
+         */
+        this.match = this.start || this.parseMatch(match);
+
+        /**
+         * Whether to push split segments downstream as separate chunks
+         * @type {Boolean}
+         */
+        this.push = (typeof options.push !== "undefined") ? options.push : true;
+
+        /**
+         * The longest that a regular expression match can be, 
+         * or 0 to use the DataTransform default
+         * @type {Number}
+         */
+        this.max_length = options.maxLength || 0;
+
+        /**
+         * Occurrence to act on, or 0 for all
+         * @type {Number}
+         */
+        this.nth = typeof options.nth !== "undefined" ? options.nth : 0;
+        if(!Number.isInteger(this.nth) || this.nth < 0){
+            throw new Error(`Invalid nth option ${this.nth}`);
+        }
+
+        /**
+         * Act on every this many occurrences, or 0 for all
+         * @type {Number}
+         */
+        this.every = typeof options.every !== "undefined" ? options.every : 0;
+        if(!Number.isInteger(this.every) || this.every < 0){
+            throw new Error(`Invalid every option ${this.every}`);
+        }
+
+        /**
+         * Maximum number of occurrences to act on, or 0 for no limit
+         * @type {Number}
+         */
+        this.limit = typeof options.limit !== "undefined" ? options.limit : 0;
+        if(!Number.isInteger(this.limit) || this.limit < 0){
+            throw new Error(`Invalid limit option ${this.limit}`);
+        }
+        if(options.first){
+            if(this.limit || this.nth){
+                throw new Error(`The first option conflicts with the ${this.limit ? "limit" : "nth"} option`);
             }
+            this.limit = 1;
+        }
+
+        /**
+         * Function that decides what to do with each compare match
+         * @type {Function}
+         */
+        this.hook = typeof options.hook === "function" ? options.hook : null;
+
+        /**
+         * Number of bytes before and after a compare match to include 
+         * in its event
+         * @type {Number}
+         */
+        this.window = options.window || 0;
+
+        /**
+         * Where the match must be in a line, either "start", "end", or 
+         * "line", or null to match anywhere
+         * @type {String}
+         */
+        this.anchor = options.anchor || null;
+        if(this.anchor && !["start", "end", "line"].includes(this.anchor)){
+            throw new Error(`Invalid anchor option ${this.anchor}`);
+        }
+
+        /**
+         * Region that the modifier acts in, or null to act everywhere.
+         * The markers are converted like the match.
+         * @type {{start: Buffer|RegExp, end: Buffer|RegExp, outside: Boolean}}
+         */
+        this.scope = null;
+        if(options.scope){
+            if(!this.isDelimiterPair(options.scope)){
+                throw new Error("The scope option requires start and end markers");
+            }
+            this.scope = {
+                start: this.parseMatch(options.scope.start),
+                end: this.parseMatch(options.scope.end),
+                outside: !!options.scope.outside
+            };
+        }
+
+        /**
+         * Priority of matches over overlapping matches of other modifiers
+         * @type {Number}
+         */
+        this.priority = options.priority || 0;
+
+        /**
+         * Whether a range action keeps its start and end markers
+         * @type {Boolean}
+         */
+        this.keep_markers = !!options.keepMarkers;
+
+        /**
+         * What to do with a range that has not ended when the stream ends.
+         * Either "drop", "keep", or "error".
+         * @type {String}
+         */
+        this.unterminated = options.unterminated || "drop";
+        if(!["drop", "keep", "error"].includes(this.unterminated)){
+            throw new Error(`Invalid unterminated option ${this.unterminated}`);
+        }
+
+        if(this.isRange() && !this.end && !this.isPositional()){
+            throw new Error(`The ${this.action} action requires start and end markers`);
+        }
+
+        // Convert contents to array, without changing the array passed in
+        if(contents){
+            contents = Array.isArray(contents) ? contents.slice() : [contents];
         }
         // No contents supplied
         else {
@@ -68,45 +344,228 @@ class Modifier {
          */
         this.directory_options = contents.directory_options || {};
 
-        // If "directory" option was passed, convert to file paths
-        if(contents.length){
-            for(let i = 0; i < contents.length; i++){
-                let directory = contents[i].directory;
-                if(typeof directory === "string" && directory.length){
-                    this.directoryToFiles(directory, contents);
-                }
+        // If "directory" option was passed, find its file paths
+        for(let i = 0; i < contents.length; i++){
+            let directory = contents[i].directory;
+            if(typeof directory === "string" && directory.length){
+                let pattern = this.getDirectoryPattern(directory);
+                let files = [];
+                this.directoryToFiles(directory, files, contents[i].directory_options);
+                files = files.map((content) => content.file);
+                contents[i] = Object.assign({}, contents[i], {pattern, files});
             }
         }
 
         /**
          * Contents to replace/append/prepend with matched string.
+         * This is a copy that transforms which share the modifier read, 
+         * so it can't be changed.
          * @type {Object[]}
          */
-        this.contents = contents 
+        this.contents = Object.freeze(contents);
     }
 
     /**
-     * Convert a string to an array of char codes.
-     * IE would turn "buffer" into [98, 117, 102, 102, 101, 114]
-     * @param {String} str 
-     * @returns {Number[]}
+     * Check if the action of the modifier applies to a range of data
+     * between a start and end marker, or between two offsets.
+     * @returns {Boolean}
      */
-    getStringAsCharChode(str){
-        return str.split('').map((c) => {
-            return c.charCodeAt(0); 
-        });
+    isRange(){
+        return this.action === "eraseBetween"
+            || this.action === "replaceBetween"
+            || this.action === "extractBetween"
+            || this.action === "eraseRange";
     }
 
     /**
-     * Convert a directory into an array of file name objects.
-     * This is a helper function for processing the constructor arguments.
+     * Check if the modifier acts at offsets of the data instead of at 
+     * matches.
+     * @returns {Boolean}
+     */
+    isPositional(){
+        return this.action === "header"
+            || this.action === "footer"
+            || this.action === "insertAt"
+            || this.action === "eraseRange";
+    }
+
+    /**
+     * Check if the modifier acts on whole lines.
+     * @returns {Boolean}
+     */
+    isLineAction(){
+        return this.action === "dropLine"
+            || this.action === "prefixLine"
+            || this.action === "suffixLine";
+    }
+
+    /**
+     * Describe the modifier by its action and match, for messages.
+     * @returns {String} Such as replace "<!-- x -->", or 
+     * eraseBetween "<!--" to "-->"
+     */
+    describe(){
+        const describeMatch = (match) => {
+            if(match instanceof RegExp){
+                const source = regex_sources.get(match) || match.source;
+                return `/${source}/${match.flags.replace("y", "")}`;
+            }
+            let text = match.toString(this.encoding);
+            if(text.length > 40){
+                text = text.slice(0, 37) + "...";
+            }
+            return JSON.stringify(text);
+        };
+        if(this.action === "insertAt"){
+            return `${this.action} ${this.offset}`;
+        }
+        if(this.action === "eraseRange"){
+            return `${this.action} ${this.offset} to ${this.offset + this.length}`;
+        }
+        if(this.isPositional()){
+            return this.action;
+        }
+        if(this.end){
+            return `${this.action} ${describeMatch(this.start)} to ${describeMatch(this.end)}`;
+        }
+        return `${this.action} ${describeMatch(this.match)}`;
+    }
+
+    /**
+     * Check if a match is a set of start/end delimiters.
+     * @param {*} match 
+     * @returns {Boolean}
+     */
+    isDelimiterPair(match){
+        return match !== null 
+            && typeof match === "object" 
+            && !Buffer.isBuffer(match) 
+            && !Array.isArray(match)
+            && !(match instanceof RegExp)
+            && typeof match.start !== "undefined"
+            && typeof match.end !== "undefined";
+    }
+
+    /**
+     * Convert a match into something that can be compared to a chunk.
+     * Numbers are converted to strings, and strings to buffers encoded with
+     * the modifier encoding. Regular expressions are copied as sticky, so 
+     * that they only match at a given position.
+     * @param {Buffer|Number|RegExp|String} match 
+     * @returns {Buffer|RegExp}
+     */
+    parseMatch(match){
+        match = match || "";
+        if(match instanceof RegExp){
+            let flags = match.flags.replace(/[gy]/g, "");
+            if(this.ignore_case && !flags.includes("i")){
+                flags += "i";
+            }
+            let regex = new RegExp(this.encodeRegexSource(match), flags + "y");
+            if(regex.source !== match.source){
+                regex_sources.set(regex, match.source);
+            }
+            return regex;
+        }
+        // Convert numbers to strings
+        if(typeof match === "number"){
+            match = `${match}`;
+        }
+        // Convert strings to buffers
+        if(typeof match === "string"){
+            match = Buffer.from(match, this.encoding);
+        }
+        else {
+            match = Buffer.from(match);
+        }
+        if(this.ignore_case){
+            match = this.case_folder.fold(match);
+        }
+        return match;
+    }
+
+    /**
+     * Encode the non-ASCII characters of a regular expression the way they
+     * are in the data. Regular expressions are matched against data decoded
+     * as latin1, so in utf8 data each character becomes a group of its 
+     * bytes, or when ignoring case, of the bytes of each of its cases, 
+     * which must not be followed by more bytes of a longer character.
+     * Escapes such as \xe9 still match single bytes.
+     * @param {RegExp} regex 
+     * @throws {Error} If a non-ASCII character is in a character class, or
+     * can not be matched in the encoding
+     * @returns {String} Source of the regular expression
+     */
+    encodeRegexSource(regex){
+        const source = regex.source;
+        if(!/[^\x00-\x7f]/.test(source) || this.encoding === "latin1" && !/[^\x00-\xff]/.test(source)){
+            return source;
+        }
+        if(this.encoding !== "utf8"){
+            throw new Error(`Non-ASCII characters of /${source}/ can not be matched in ${this.encoding} data`);
+        }
+        const ignore_case = regex.flags.includes("i") || this.ignore_case;
+        const toBytes = (char) => {
+            let bytes = "";
+            for(let byte of Buffer.from(char, "utf8")){
+                bytes += "\\x" + byte.toString(16).padStart(2, "0");
+            }
+            return bytes;
+        };
+        let encoded = "";
+        let in_class = false;
+        for(let i = 0; i < source.length; i++){
+            let char = String.fromCodePoint(source.codePointAt(i));
+            i += char.length - 1;
+            if(char === "\\"){
+                let next = String.fromCodePoint(source.codePointAt(i + 1));
+                i += next.length;
+                // Escaped non-ASCII characters are the characters themselves
+                if(next.charCodeAt(0) <= 0x7f){
+                    encoded += char + next;
+                    continue;
+                }
+                char = next;
+            }
+            else if(char === "[" && !in_class){
+                in_class = true;
+            }
+            else if(char === "]" && in_class){
+                in_class = false;
+            }
+            if(char.charCodeAt(0) <= 0x7f){
+                encoded += char;
+                continue;
+            }
+            if(in_class){
+                throw new Error(`Non-ASCII character "${char}" in a character class of /${source}/ can not be matched in utf8 data`);
+            }
+            let cases = [char];
+            if(ignore_case){
+                for(let other of [char.toLowerCase(), char.toUpperCase()]){
+                    // Only single characters, like case folding
+                    if([...other].length === 1 && !cases.includes(other)){
+                        cases.push(other);
+                    }
+                }
+            }
+            // Without regard to case, a lead byte also matches the lead 
+            // byte of a longer character, such as \xc3 and \xe3
+            let boundary = ignore_case ? "(?![\\x80-\\xbf])" : "";
+            encoded += `(?:(?:${cases.map(toBytes).join("|")})${boundary})`;
+        }
+        return encoded;
+    }
+
+    /**
+     * Get the glob pattern of a directory.
+     * If the directory was passed as a directory path, such as 
+     * path/to/files or path/to/files/, add a final slash if 
+     * necessary and a *.*. IE /path/to/files/*.*
      * @param {String} directory 
-     * @param {Object[]} files
+     * @returns {String}
      */
-    directoryToFiles(directory, files){
-        // If the directory was passed as a directory path, such as 
-        // path/to/files or path/to/files/, add a final slash if 
-        // necessary and a *.*. IE /path/to/files/*.*
+    getDirectoryPattern(directory){
         try {
             const dir = Fs.opendirSync(directory);
             if(directory[directory.length - 1] !== "/"){
@@ -118,8 +577,20 @@ class Modifier {
         catch(error){
             // Not a dir
         }
+        return directory;
+    }
 
-        let result = Glob.sync(directory, this.directory_options);
+    /**
+     * Convert a directory into an array of file name objects.
+     * This is a helper function for processing the constructor arguments.
+     * @param {String} directory - Directory path, or glob pattern
+     * @param {Object[]} files - Array to add a {file} object to for each
+     * file found
+     * @param {Object} [options=this.directory_options] - Options for the
+     * glob module
+     */
+    directoryToFiles(directory, files, options = this.directory_options){
+        let result = Glob.sync(this.getDirectoryPattern(directory), options);
         for(let i = 0; i < result.length; i++){
             files.push({file: result[i]});
         }
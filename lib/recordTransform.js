@@ -0,0 +1,551 @@
+const {Transform} = require('stream');
+const Logger = require('@voliware/logger');
+const Modifier = require('./modifier');
+const DataTransform = require('./dataTransform');
+const DataTransformError = require('./dataTransformError');
+
+/**
+ * Transforms records, such as the events of a newline delimited JSON
+ * stream, by applying modifiers to the values of their fields.
+ * Input is NDJSON data, or with the objectMode option, either NDJSON data or
+ * objects. Output is NDJSON data, or objects with the objectMode option.
+ * Records written as objects are not changed; the modified records are
+ * copies.
+ * A modifier without a match acts on the whole value of its field.
+ * Erase removes the field, or the element of an array, replace sets its
+ * value, and append and prepend add to its value, which makes a number or
+ * boolean a string. A modifier with a match acts on the matches in the
+ * value, just like a DataTransform acts on data.
+ * @extends {Transform}
+ * @example
+ * let recordtransform = new RecordTransform()
+ *     .drop("level", "debug")
+ *     .replace("user.email", {string: "[redacted]"})
+ *     .erase("user.password")
+ *     .replace("message", {string: "token=***"}, {match: /token=\w+/})
+ *     .append("message", {string: "!"});
+ * Fs.createReadStream("events.ndjson")
+ *     .pipe(recordtransform)
+ *     .pipe(Fs.createWriteStream("clean.ndjson"));
+ */
+class RecordTransform extends Transform {
+
+    /**
+     * Constructor
+     * @param {Object} [options]
+     * @param {Boolean} [options.objectMode=false] - If true, records can be
+     * written as objects, and are pushed as objects. Otherwise they are
+     * written and pushed as NDJSON data.
+     * @param {Boolean|ContentCache} [options.cache=false] - DataTransform
+     * cache option
+     * @param {Object} [options.vars] - DataTransform vars option
+     * @param {String} [options.missingVars="leave"] - DataTransform
+     * missingVars option
+     * @param {Boolean} [options.strict=false] - DataTransform strict option
+     * @param {Number} [options.maxMatchLength=1024] - DataTransform
+     * maxMatchLength option
+     */
+    constructor(options = {}){
+        super({objectMode: !!options.objectMode});
+
+        /**
+         * Whether records are pushed as objects
+         * @type {Boolean}
+         */
+        this.object_mode = !!options.objectMode;
+
+        /**
+         * Options of the DataTransforms that modify values
+         * @type {Object}
+         */
+        this.transform_options = {
+            cache: options.cache,
+            vars: options.vars,
+            missingVars: options.missingVars,
+            strict: options.strict,
+            maxMatchLength: options.maxMatchLength
+        };
+
+        /**
+         * Modifiers of fields, in the order they were added, and for 
+         * modifiers with a match, a function that creates a DataTransform 
+         * that applies it
+         * @type {Array<{path: String[], modifier: Modifier, template: DataTransform|null, create: Function|null}>}
+         */
+        this.fields = [];
+
+        /**
+         * Modifiers, for error messages
+         * @type {Modifier[]}
+         */
+        this.modifiers = [];
+
+        /**
+         * Conditions that drop a record
+         * @type {Array<{path: String[], value: *}>}
+         */
+        this.drops = [];
+
+        /**
+         * Transform that reads the contents of modifiers
+         * @type {DataTransform}
+         */
+        this.contents_transform = null;
+
+        /**
+         * NDJSON data held back at the end of the last chunk,
+         * until the rest of its line arrives
+         * @type {Buffer}
+         */
+        this.leftover_data = null;
+
+        /**
+         * Bytes of NDJSON data read so far
+         * @type {Number}
+         */
+        this.bytes_read = 0;
+
+        /**
+         * Lines of NDJSON data read so far
+         * @type {Number}
+         */
+        this.line_count = 0;
+
+        /**
+         * Records read so far
+         * @type {Number}
+         */
+        this.record_count = 0;
+
+        /**
+         * Records dropped so far
+         * @type {Number}
+         */
+        this.dropped_count = 0;
+
+        /**
+         * Logger
+         * @type {Logger}
+         */
+        this.logger = new Logger("RECORD", {level: "error"});
+    }
+
+    /**
+     * Split a field path into its keys.
+     * @param {String|String[]} field - Dot separated path, such as
+     * "user.email", or an array of keys
+     * @returns {String[]}
+     */
+    static parsePath(field){
+        let path = Array.isArray(field) ? field.map(String) : String(field).split(".");
+        if(!path.length || path.some((key) => !key.length)){
+            throw new Error(`Invalid field ${field}`);
+        }
+        return path;
+    }
+
+    /**
+     * Get the value of a field of a record.
+     * @param {Object} record
+     * @param {String[]} path
+     * @returns {*} Undefined if the field does not exist
+     */
+    static getValue(record, path){
+        let value = record;
+        for(let i = 0; i < path.length; i++){
+            if(value === null || typeof value !== "object"){
+                return undefined;
+            }
+            value = value[path[i]];
+        }
+        return value;
+    }
+
+    /**
+     * Get the object that holds a field of a record.
+     * @param {Object} record
+     * @param {String[]} path
+     * @returns {Object|null} Null if the field does not exist
+     */
+    static getParent(record, path){
+        let parent = RecordTransform.getValue(record, path.slice(0, -1));
+        if(parent === null || typeof parent !== "object"){
+            return null;
+        }
+        if(!Object.prototype.hasOwnProperty.call(parent, path[path.length - 1])){
+            return null;
+        }
+        return parent;
+    }
+
+    /**
+     * Copy a record and the objects that hold a field, so that the field
+     * can be changed without changing the record it was copied from.
+     * Records written in object mode are still held by the writer.
+     * @param {Object} record
+     * @param {String[]} path
+     * @returns {Object} Copy of the record
+     */
+    static copyPath(record, path){
+        const copy = (value) => Array.isArray(value) ? value.slice() : Object.assign({}, value);
+        let root = copy(record);
+        let parent = root;
+        for(let i = 0; i < path.length - 1; i++){
+            parent = parent[path[i]] = copy(parent[path[i]]);
+        }
+        return root;
+    }
+
+    /**
+     * Add a modifier of a field.
+     * @param {String|String[]} field - Dot separated path of the field, or
+     * an array of keys
+     * @param {Modifier} modifier
+     * @returns {RecordTransform}
+     */
+    modify(field, modifier){
+        let whole = !(modifier.match instanceof RegExp) && !modifier.match.length;
+        let template = null;
+        if(!whole){
+            template = new DataTransform(Object.assign({}, this.transform_options, {modifiers: [modifier]}));
+            // Clones share the matcher, so it is built once
+            template.getMatcher();
+        }
+        this.fields.push({
+            path: RecordTransform.parsePath(field),
+            modifier,
+            template,
+            create: template ? template.factory() : null
+        });
+        this.modifiers.push(modifier);
+        // Errors of contents name the modifiers by their index
+        this.contents_transform = null;
+        return this;
+    }
+
+    /**
+     * Add an append modifier of a field.
+     * Appends to the value, or after each match in the value.
+     * @param {String|String[]} field
+     * @param {Object|Object[]} contents - DataTransform contents
+     * @param {Object} [options] - Modifier options
+     * @param {Buffer|RegExp|String} [options.match] - Match in the value
+     * @returns {RecordTransform}
+     */
+    append(field, contents, options = {}){
+        return this.modify(field, new Modifier("append", options.match, contents, options));
+    }
+
+    /**
+     * Add an erase modifier of a field.
+     * Removes the field, or erases each match in the value.
+     * @param {String|String[]} field
+     * @param {Object} [options] - Modifier options
+     * @param {Buffer|RegExp|String} [options.match] - Match in the value
+     * @returns {RecordTransform}
+     */
+    erase(field, options = {}){
+        return this.modify(field, new Modifier("erase", options.match, null, options));
+    }
+
+    /**
+     * Add a prepend modifier of a field.
+     * Prepends to the value, or before each match in the value.
+     * @param {String|String[]} field
+     * @param {Object|Object[]} contents - DataTransform contents
+     * @param {Object} [options] - Modifier options
+     * @param {Buffer|RegExp|String} [options.match] - Match in the value
+     * @returns {RecordTransform}
+     */
+    prepend(field, contents, options = {}){
+        return this.modify(field, new Modifier("prepend", options.match, contents, options));
+    }
+
+    /**
+     * Add a replace modifier of a field.
+     * Replaces the value, or each match in the value.
+     * @param {String|String[]} field
+     * @param {Object|Object[]} contents - DataTransform contents
+     * @param {Object} [options] - Modifier options
+     * @param {Buffer|RegExp|String} [options.match] - Match in the value
+     * @returns {RecordTransform}
+     */
+    replace(field, contents, options = {}){
+        return this.modify(field, new Modifier("replace", options.match, contents, options));
+    }
+
+    /**
+     * Drop records whose field has a value.
+     * @param {String|String[]} field
+     * @param {*|RegExp|Function} value - Value to compare the field to, a
+     * regular expression that tests string values, or a function that is
+     * passed the value and the record, and returns true to drop the record
+     * @returns {RecordTransform}
+     */
+    drop(field, value){
+        this.drops.push({path: RecordTransform.parsePath(field), value});
+        return this;
+    }
+
+    /**
+     * Check if a record should be dropped.
+     * @param {Object} record
+     * @returns {Boolean}
+     */
+    isDropped(record){
+        return this.drops.some((drop) => {
+            let value = RecordTransform.getValue(record, drop.path);
+            if(typeof drop.value === "function"){
+                return !!drop.value(value, record);
+            }
+            if(drop.value instanceof RegExp){
+                return typeof value === "string" && drop.value.test(value);
+            }
+            return value === drop.value;
+        });
+    }
+
+    /**
+     * Report the warnings of a DataTransform as warnings of this transform.
+     * @param {DataTransform} transform
+     * @returns {DataTransform}
+     */
+    forwardWarnings(transform){
+        transform.on('warning', (warning) => {
+            if(this.listenerCount('warning')){
+                this.emit('warning', warning);
+            }
+            else {
+                this.logger.error(warning.message);
+            }
+        });
+        return transform;
+    }
+
+    /**
+     * Read the contents of a modifier as a string.
+     * @param {Modifier} modifier
+     * @param {Object} context - Context passed to function contents
+     * @async
+     * @returns {Promise<String>}
+     */
+    async readContents(modifier, context){
+        if(!this.contents_transform){
+            let options = Object.assign({}, this.transform_options, {modifiers: this.modifiers.slice()});
+            this.contents_transform = this.forwardWarnings(new DataTransform(options));
+        }
+        let buffers = [];
+        for await (let content of this.contents_transform.getContents(modifier, null, context)){
+            if(Buffer.isBuffer(content)){
+                buffers.push(content);
+                continue;
+            }
+            for await (let chunk of content){
+                buffers.push(Buffer.from(chunk));
+            }
+        }
+        return Buffer.concat(buffers).toString(modifier.encoding);
+    }
+
+    /**
+     * Apply the modifier of a field to the matches in a string value.
+     * Values without matches are not transformed.
+     * @param {Object} field - Field and its modifier
+     * @param {String} value
+     * @async
+     * @returns {Promise<String>}
+     */
+    transformValue(field, value){
+        const modifier = field.modifier;
+        const template = field.template;
+        let data = Buffer.from(value, modifier.encoding);
+        if(!template.getMatcher().scan(data, 0, true, template.max_match_length).next(0)){
+            return Promise.resolve(value);
+        }
+        let transform = this.forwardWarnings(field.create());
+        return new Promise((resolve, reject) => {
+            let chunks = [];
+            transform.on('data', (chunk) => {
+                chunks.push(chunk);
+            });
+            transform.on('end', () => {
+                resolve(Buffer.concat(chunks).toString(modifier.encoding));
+            });
+            transform.on('error', reject);
+            transform.end(data);
+        });
+    }
+
+    /**
+     * Apply the modifiers of fields to a record.
+     * @param {Object} record
+     * @param {Number} offset - Offset of the record in the input, in bytes
+     * of NDJSON data, or in records in object mode
+     * @async
+     * @returns {Promise<Object>}
+     */
+    async modifyRecord(record, offset){
+        for(let i = 0; i < this.fields.length; i++){
+            const field = this.fields[i];
+            const modifier = field.modifier;
+            let parent = RecordTransform.getParent(record, field.path);
+            if(!parent){
+                continue;
+            }
+            let key = field.path[field.path.length - 1];
+            let value = parent[key];
+            let modified;
+            if(field.create){
+                if(typeof value !== "string"){
+                    continue;
+                }
+                modified = await this.transformValue(field, value);
+            }
+            else {
+                let context = {modifier, record, field: field.path.join("."), value, offset};
+                if(modifier.action === "replace"){
+                    modified = await this.readContents(modifier, context);
+                }
+                // Only values that are not objects can be added to
+                else if(modifier.action !== "erase"){
+                    if(value === null || typeof value === "object"){
+                        continue;
+                    }
+                    let contents = await this.readContents(modifier, context);
+                    modified = modifier.action === "append"
+                        ? String(value) + contents
+                        : contents + String(value);
+                }
+            }
+            record = RecordTransform.copyPath(record, field.path);
+            parent = RecordTransform.getValue(record, field.path.slice(0, -1));
+            if(modifier.action === "erase" && !field.create){
+                // Erased elements are removed, rather than left as holes
+                if(Array.isArray(parent)){
+                    parent.splice(Number(key), 1);
+                }
+                else {
+                    delete parent[key];
+                }
+            }
+            else {
+                parent[key] = modified;
+            }
+        }
+        return record;
+    }
+
+    /**
+     * Parse the complete lines of NDJSON data.
+     * @param {Buffer} chunk
+     * @param {Boolean} final - Whether this is the end of the stream, so
+     * that the last line is complete without a line end
+     * @throws {DataTransformError} If a line is not valid JSON
+     * @returns {Array<{record: Object, offset: Number}>}
+     */
+    parseLines(chunk, final){
+        if(this.leftover_data){
+            chunk = Buffer.concat([this.leftover_data, chunk]);
+            this.leftover_data = null;
+        }
+        let end = final ? chunk.length : chunk.lastIndexOf(0x0a) + 1;
+        if(end < chunk.length){
+            this.leftover_data = chunk.slice(end);
+        }
+        let records = [];
+        let offset = this.bytes_read;
+        let start = 0;
+        while(start < end){
+            let newline = chunk.indexOf(0x0a, start);
+            let line_end = newline === -1 || newline >= end ? end : newline + 1;
+            let line = chunk.toString("utf8", start, line_end).trim();
+            this.line_count++;
+            if(line.length){
+                try {
+                    records.push({record: JSON.parse(line), offset: offset + start});
+                }
+                catch(error){
+                    let message = `Invalid JSON on line ${this.line_count}: ${error.message}`;
+                    throw new DataTransformError(message, {offset: offset + start, cause: error});
+                }
+            }
+            start = line_end;
+        }
+        this.bytes_read += end;
+        return records;
+    }
+
+    /**
+     * Modify records, and push the ones that are not dropped.
+     * @param {Array<{record: Object, offset: Number}>} records
+     * @async
+     * @returns {Promise}
+     */
+    async pushRecords(records){
+        let lines = [];
+        for(let i = 0; i < records.length; i++){
+            let record = records[i].record;
+            this.record_count++;
+            if(record !== null && typeof record === "object" && this.isDropped(record)){
+                this.dropped_count++;
+                continue;
+            }
+            if(record !== null && typeof record === "object"){
+                record = await this.modifyRecord(record, records[i].offset);
+            }
+            if(this.object_mode){
+                this.push(record);
+            }
+            else {
+                lines.push(JSON.stringify(record) + "\n");
+            }
+        }
+        if(lines.length){
+            this.push(Buffer.from(lines.join("")));
+        }
+    }
+
+    /**
+     * Transform a chunk of NDJSON data or a record.
+     * @param {Buffer|String|Object} chunk
+     * @param {String} encoding
+     * @param {Function} callback
+     * @async
+     */
+    async _transform(chunk, encoding, callback){
+        try {
+            if(typeof chunk === "string"){
+                chunk = Buffer.from(chunk, encoding === "buffer" ? "utf8" : encoding);
+            }
+            let records = Buffer.isBuffer(chunk)
+                ? this.parseLines(chunk, false)
+                : [{record: chunk, offset: this.record_count}];
+            await this.pushRecords(records);
+        }
+        catch(error){
+            callback(error);
+            return;
+        }
+        callback();
+    }
+
+    /**
+     * Transform the last line of NDJSON data.
+     * @param {Function} callback
+     * @async
+     */
+    async _flush(callback){
+        try {
+            if(this.leftover_data){
+                await this.pushRecords(this.parseLines(Buffer.from([]), true));
+            }
+        }
+        catch(error){
+            callback(error);
+            return;
+        }
+        callback();
+    }
+}
+
+module.exports = RecordTransform;
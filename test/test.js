@@ -2,7 +2,12 @@ const {Readable, Writable} = require('stream');
 const Fs = require('fs')
 const Path = require('path');
 const Assert = require('assert');
-const {DataTransform} = require('../index');
+const Os = require('os');
+const ChildProcess = require('child_process');
+const Crypto = require('crypto');
+const Http = require('http');
+const Zlib = require('zlib');
+const {ContentCache, DataTransform, DataTransformError, Diff, HttpTransform, Modifier, RecordTransform} = require('../index');
 
 const test_file = Path.join(__dirname, "/test.html");
 const result_file = Path.join(__dirname, "/result.html");
@@ -13,7 +18,8 @@ const replace_file = Path.join(__dirname, "/replace.html");
 /**
  * Test function for basic tests
  * @param {DataTransform} datatransform 
- * @param {String} readable_data
+ * @param {String|String[]} readable_data - Data to read, or an array of
+ * chunks to read one at a time
  * @param {String} expectation 
  * @returns {Promise} 
  */
@@ -27,10 +33,15 @@ function run(datatransform, readable_data, expectation){
         next();
     }
 
-    readable.push(readable_data);
+    [].concat(readable_data).forEach((chunk) => {
+        readable.push(chunk);
+    });
     readable.push(null);
 
     return new Promise((resolve, reject) => {
+        datatransform.on('error', (error) => {
+            reject(error);
+        });
         readable
             .pipe(datatransform)
             .pipe(writable)
@@ -64,14 +75,51 @@ it('compares data', async function() {
     Assert.strictEqual(passed, true);
 });
 
-// it('splits data between a start and end delimiters', async function() {
-//     let datatransform = new DataTransform();
-//     datatransform.split({
-//         start: "<S>",
-//         end: "<E>"
-//     });
-//     return run(datatransform, "<S>data1<E>garbage<S>data2<E>", "data1data2");
-// });
+it('splits data between a start and end delimiters', async function() {
+    let datatransform = new DataTransform();
+    datatransform.split({
+        start: "<S>",
+        end: "<E>"
+    });
+    return run(datatransform, "<S>data1<E>garbage<S>data2<E>", "data1data2");
+});
+
+it('splits data between delimiters that straddle chunks', async function() {
+    let datatransform = new DataTransform({concat: false});
+    datatransform.split({
+        start: "<S>",
+        end: "<E>"
+    });
+    let segments = [];
+    datatransform.on('split', (data) => {
+        segments.push(data.segment.toString());
+    });
+    let data = "<S>data1<E>garbage<S>data2<E><S>unterminated".split('');
+    await run(datatransform, data, "data1data2");
+    Assert.deepStrictEqual(segments, ["data1", "data2"]);
+});
+
+it('splits data at a delimiter into separate chunks', async function() {
+    let datatransform = new DataTransform({concat: false});
+    datatransform.split(",");
+    let chunks = [];
+    datatransform.on('data', (chunk) => {
+        chunks.push(chunk.toString());
+    });
+    await run(datatransform, ["a,b", "b,", "c"], "abbc");
+    Assert.deepStrictEqual(chunks, ["a", "bb", "c"]);
+});
+
+it('emits split segments without modifying data', async function() {
+    let datatransform = new DataTransform();
+    datatransform.split("<br>", {push: false});
+    let segments = [];
+    datatransform.on('split', (data) => {
+        segments.push(data.segment.toString());
+    });
+    await run(datatransform, "one<br>two<br>three", "one<br>two<br>three");
+    Assert.deepStrictEqual(segments, ["one", "two", "three"]);
+});
 
 it('appends data after a match', function() {
     let datatransform = new DataTransform();
@@ -97,15 +145,1352 @@ it('erases data at a match', function() {
     return run(datatransform, "erase", "");
 });
 
+it('replaces regular expression matches with captures', function() {
+    let datatransform = new DataTransform();
+    datatransform.replace(/<!-- include:(\w+) -->/, {string: "<$1>"});
+    datatransform.replace(/(?<first>\w+)@(?<second>\w+)/, {string: "$<second> at $<first> $$"});
+    return run(datatransform, "a<!-- include:nav -->b joe@home", "a<nav>b home at joe $");
+});
+
+it('replaces regular expression matches that straddle chunks', function() {
+    let datatransform = new DataTransform({concat: false, maxMatchLength: 16});
+    datatransform.replace(/\[(\d+)\]/, {string: "($1)"});
+    let data = "a[1]b[22]c[333]".split('');
+    return run(datatransform, data, "a(1)b(22)c(333)");
+});
+
+it('rejects a maxMatchLength option that is not a positive integer', function() {
+    Assert.throws(() => new DataTransform({maxMatchLength: 0}), {message: "Invalid maxMatchLength option 0"});
+    Assert.throws(() => new DataTransform({maxMatchLength: "64"}), {message: "Invalid maxMatchLength option 64"});
+});
+
+it('compares data with a regular expression', async function() {
+    let datatransform = new DataTransform();
+    datatransform.compare(/v(\d+)\.(?<minor>\d+)/);
+    let events = [];
+    datatransform.on('compare', (data) => {
+        events.push(data);
+    });
+    await run(datatransform, "version v1.2 and v3.45");
+    Assert.strictEqual(events.length, 2);
+    Assert.deepStrictEqual(events[1].captures, ["3", "45"]);
+    Assert.strictEqual(events[1].groups.minor, "45");
+    Assert.strictEqual(events[1].match.toString(), "v3.45");
+});
+
+it('replaces regular expression matches with non-ASCII characters', function() {
+    let datatransform = new DataTransform({concat: false});
+    datatransform.replace(/café+/, {string: "tea"});
+    datatransform.erase(/ (?:😀|☕)/u);
+    Assert.throws(() => datatransform.erase(/[éè]/), {
+        message: 'Non-ASCII character "é" in a character class of /[éè]/ can not be matched in utf8 data'
+    });
+    let data = Buffer.from("un caféé 😀 noir ☕");
+    let chunks = [];
+    for(let i = 0; i < data.length; i++){
+        chunks.push(data.slice(i, i + 1));
+    }
+    return run(datatransform, chunks, "un tea noir");
+});
+
+it('replaces multi-byte utf8 data', function() {
+    let datatransform = new DataTransform({concat: false});
+    datatransform.replace("café", {string: "☕"});
+    datatransform.erase("😀");
+    let data = Buffer.from("un café 😀 noir");
+    let chunks = [];
+    for(let i = 0; i < data.length; i++){
+        chunks.push(data.slice(i, i + 1));
+    }
+    return run(datatransform, chunks, "un ☕  noir");
+});
+
+it('replaces data without regard to case', function() {
+    let datatransform = new DataTransform({concat: false});
+    datatransform.replace("ΣΟΦΊΑ café", {string: "wisdom"}, {ignoreCase: true});
+    let data = Buffer.from("[σοφία CAFÉ][Σοφία Café]");
+    let chunks = [];
+    for(let i = 0; i < data.length; i++){
+        chunks.push(data.slice(i, i + 1));
+    }
+    return run(datatransform, chunks, "[wisdom][wisdom]");
+});
+
+it('replaces regular expression matches without regard to case', function() {
+    let datatransform = new DataTransform({concat: false});
+    datatransform.replace(/CAFÉ/i, {string: "tea"});
+    datatransform.erase(/σοφία/, {ignoreCase: true});
+    // The bytes of "㩩" start like the bytes of "é" without regard to
+    // latin1 case, but the character is longer
+    let data = Buffer.from("[café][Café][ΣΟΦΊΑ][caf㩩]");
+    let chunks = [];
+    for(let i = 0; i < data.length; i++){
+        chunks.push(data.slice(i, i + 1));
+    }
+    return run(datatransform, chunks, "[tea][tea][][caf㩩]");
+});
+
+it('replaces utf16le and latin1 data', async function() {
+    let datatransform = new DataTransform({concat: false});
+    datatransform.replace("é", {string: "E"}, {encoding: "utf16le", ignoreCase: true});
+    let data = Buffer.from("aÉb\u00e9", "utf16le");
+    await run(datatransform, [data.slice(0, 3), data.slice(3)], Buffer.from("aEbE", "utf16le"));
+
+    datatransform = new DataTransform();
+    datatransform.erase("Ü", {encoding: "latin1", ignoreCase: true});
+    await run(datatransform, Buffer.from("Über über", "latin1"), "ber ber");
+});
+
+it('matches many modifiers that share prefixes and suffixes', function() {
+    let datatransform = new DataTransform({concat: false});
+    datatransform
+        .replace("hers", {string: "1"})
+        .replace("she", {string: "2"})
+        .replace("he", {string: "3"})
+        .erase("his")
+        .append("s", {string: "!"});
+    let data = "ushers his hershe shhe".split('');
+    return run(datatransform, data, "u2rs!  13 s!h3");
+});
+
+it('replaces data with the result of a function', async function() {
+    let datatransform = new DataTransform({concat: false});
+    let contexts = [];
+    datatransform.replace("<!--nonce-->", {fn: async (context) => {
+        contexts.push(context);
+        // Resolve later calls sooner, the output must still be in order
+        await new Promise((resolve) => setTimeout(resolve, 10 - contexts.length * 3));
+        return `[${context.count}@${context.offset}]`;
+    }});
+    datatransform.append(/id=(\d+)/, {fn: (context) => Buffer.from(` n=${context.captures[0]}`)});
+    let data = ["a<!--no", "nce-->b<!--nonce--", ">c<!--nonce-->", " id=42;"];
+    await run(datatransform, data, "a[1@1]b[2@14]c[3@27] id=42 n=42;");
+    Assert.strictEqual(contexts[1].match.toString(), "<!--nonce-->");
+    Assert.strictEqual(contexts[2].modifier, datatransform.modifiers[0]);
+});
+
+it('streams contents downstream in pieces', async function() {
+    let datatransform = new DataTransform();
+    datatransform.replace("<!--stream-->", {stream: Readable.from(["1", "2", "3"])});
+    datatransform.append("<!--file-->", {file: append_file});
+    let chunks = [];
+    datatransform.on('data', (chunk) => {
+        chunks.push(chunk.toString());
+    });
+    await run(datatransform, "a<!--stream-->b<!--file-->c", 'a123b<!--file--><div id="append"></div>c');
+    Assert.deepStrictEqual(chunks, ["a", "1", "2", "3", "b<!--file-->", '<div id="append"></div>', "c"]);
+});
+
+it('waits for a slow reader when streaming contents', async function() {
+    let datatransform = new DataTransform({concat: false, highWaterMark: 16});
+    let pieces = [];
+    for(let i = 0; i < 100; i++){
+        pieces.push(Buffer.alloc(64, `${i % 10}`));
+    }
+    datatransform.replace("*", {stream: () => Readable.from(pieces)});
+    let max_length = 0;
+    let data = Buffer.from([]);
+    let writable = new Writable({
+        highWaterMark: 16,
+        write(chunk, encoding, next){
+            max_length = Math.max(max_length, datatransform.readableLength);
+            data = Buffer.concat([data, chunk]);
+            setImmediate(next);
+        }
+    });
+    let readable = Readable.from(["a*", "b"]);
+    await new Promise((resolve, reject) => {
+        readable.pipe(datatransform).pipe(writable).on('finish', resolve).on('error', reject);
+    });
+    Assert.strictEqual(data.toString(), "a" + Buffer.concat(pieces).toString() + "b");
+    Assert.ok(max_length <= 128);
+});
+
+it('acts on certain occurrences of a match', async function() {
+    const create = (options) => {
+        return new DataTransform(options)
+            .replace("</head>", {string: "<meta></head>"}, {first: true})
+            .append("<li>", {string: "3rd"}, {nth: 3})
+            .erase("x", {limit: 2})
+            .replace("aa", {string: "b"}, {every: 2});
+    };
+    let data = "</head></head><li><li><li><li>xxxaaaaaaaa";
+    let expectation = "<meta></head></head><li><li><li>3rd<li>xaabaab";
+    await run(create(), data, expectation);
+    await run(create({concat: false}), data.split(''), expectation);
+});
+
+it('rejects occurrence options that are not counts or conflict', function() {
+    const invalid = [
+        [{nth: -1}, "Invalid nth option -1"],
+        [{every: 1.5}, "Invalid every option 1.5"],
+        [{limit: "2"}, "Invalid limit option 2"],
+        [{first: true, limit: 3}, "The first option conflicts with the limit option"],
+        [{first: true, nth: 2}, "The first option conflicts with the nth option"]
+    ];
+    for(let [options, message] of invalid){
+        Assert.throws(() => new Modifier("erase", "x", null, options), {message});
+    }
+});
+
+it('erases and replaces data between markers', async function() {
+    const create = (options) => {
+        return new DataTransform(options)
+            .eraseBetween("<!--", "-->")
+            .replaceBetween("{{", "}}", {string: "name"}, {keepMarkers: true})
+            .replace("x", {string: "y"});
+    };
+    let data = "a<!-- x -->b{{ x }}cx<!--x";
+    let expectation = "ab{{name}}cy";
+    await run(create(), data, expectation);
+    await run(create({concat: false}), data.split(''), expectation);
+});
+
+it('extracts data between markers', async function() {
+    const create = (options) => {
+        return new DataTransform(options)
+            .extractBetween("<p>", "</p>")
+            .extractBetween("[", "]", {keepMarkers: true})
+            .replace("x", {string: "y"});
+    };
+    let data = "x<p>1x</p>x[2x]x<p>unterminated";
+    let expectation = "1y[2y]";
+    await run(create(), data, expectation);
+    await run(create({concat: false}), data.split(''), expectation);
+});
+
+it('handles ranges that never end', async function() {
+    let datatransform = new DataTransform({concat: false})
+        .eraseBetween("<!--", "-->", {unterminated: "keep"});
+    await run(datatransform, "a<!--b-->c<!--d".split(''), "ac<!--d");
+
+    datatransform = new DataTransform()
+        .extractBetween("<p>", "</p>", {unterminated: "keep"});
+    await run(datatransform, "<p>a</p>b<p>c", "ac");
+
+    datatransform = new DataTransform()
+        .split({start: "<S>", end: "<E>"}, {unterminated: "keep"});
+    let segments = [];
+    datatransform.on('split', (event) => {
+        segments.push(event.segment.toString());
+    });
+    await run(datatransform, "<S>a<E><S>b", "ab");
+    Assert.deepStrictEqual(segments, ["a", "b"]);
+    Assert.throws(() => {
+        new DataTransform().eraseBetween("<!--");
+    });
+});
+
+it('caches file and directory contents until they change', async function() {
+    const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), "data-transform-"));
+    const file = Path.join(directory, "a.html");
+    Fs.writeFileSync(file, "1");
+    const cache = new ContentCache({watch: true});
+    const create = () => {
+        return new DataTransform({cache})
+            .replace("<!--file-->", {file})
+            .replace("<!--dir-->", {directory});
+    };
+    // Wait for the watcher to invalidate an entry
+    const invalidated = async (key) => {
+        for(let i = 0; i < 100 && cache.watchers.has(key); i++){
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+    };
+    try {
+        await run(create(), "<!--file-->|<!--dir-->", "1|1");
+        Fs.writeFileSync(file, "2");
+        await invalidated(file);
+        await run(create(), "<!--file-->|<!--dir-->", "2|2");
+        let key = [...cache.directories.keys()][0];
+        Fs.writeFileSync(Path.join(directory, "b.html"), "3");
+        await invalidated(key);
+        await run(create(), "<!--dir-->", "23");
+    }
+    finally {
+        cache.close();
+        Fs.rmSync(directory, {recursive: true});
+    }
+});
+
+it('caches files by their resolved paths in the shared cache', async function() {
+    const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), "data-transform-"));
+    const file = Path.join(directory, "a.html");
+    const relative = Path.relative(process.cwd(), file);
+    Fs.writeFileSync(file, "1");
+    const cache = ContentCache.getShared();
+    const create = () => {
+        return new DataTransform({cache: true})
+            .replace("<!--a-->", {file: relative})
+            .replace("<!--b-->", {file: `.${Path.sep}${relative}`});
+    };
+    try {
+        await run(create(), "<!--a-->|<!--b-->", "1|1");
+        Assert.ok(cache.watch);
+        Assert.deepStrictEqual([...cache.files.keys()].filter((key) => key.startsWith(directory)), [file]);
+        Fs.writeFileSync(file, "2");
+        for(let i = 0; i < 100 && cache.files.has(file); i++){
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        await run(create(), "<!--a-->|<!--b-->", "2|2");
+    }
+    finally {
+        cache.invalidate(file);
+        Fs.rmSync(directory, {recursive: true});
+    }
+});
+
+it('reports statistics when the stream ends', async function() {
+    const create = (options) => {
+        return new DataTransform(options)
+            .erase("  ")
+            .replace("cat", {string: "dog!"})
+            .eraseBetween("<!--", "-->")
+            .compare("never");
+    };
+    const check = (report) => {
+        Assert.strictEqual(report.bytesIn, 21);
+        Assert.strictEqual(report.bytesOut, 11);
+        let modifiers = report.modifiers.map(({action, matches, inserted, removed}) => {
+            return {action, matches, inserted, removed};
+        });
+        Assert.deepStrictEqual(modifiers, [
+            {action: "erase", matches: 2, inserted: 0, removed: 4},
+            {action: "replace", matches: 2, inserted: 8, removed: 6},
+            {action: "eraseBetween", matches: 1, inserted: 0, removed: 8},
+            {action: "compare", matches: 0, inserted: 0, removed: 0}
+        ]);
+    };
+    const data = "a  cat  <!--x-->cat b";
+    for(let options of [{}, {concat: false}]){
+        let datatransform = create(options);
+        let report = null;
+        datatransform.on('report', (event) => {
+            report = event;
+        });
+        await run(datatransform, options.concat === false ? data.split('') : data, "adog!dog! b");
+        check(report);
+        Assert.strictEqual(datatransform.stats().modifiers.length, 4);
+    }
+});
+
+it('records edits without modifying data in a dry run', async function() {
+    const data = "a\nthe cat\n<!--\nx-->\nb\né cat";
+    const create = (options) => {
+        return new DataTransform(Object.assign({dryRun: true}, options))
+            .replace("cat", {string: "dog"})
+            .eraseBetween("<!--", "-->")
+            .append("b", {file: append_file});
+    };
+    const expectation = [
+        {action: "replace", offset: 6, line: 2, column: 5, before: "cat", after: "dog"},
+        {action: "eraseBetween", offset: 10, line: 3, column: 1, before: "<!--\nx-->", after: ""},
+        {action: "append", offset: 21, line: 5, column: 2, before: "", after: '<div id="append"></div>'},
+        {action: "replace", offset: 25, line: 6, column: 3, before: "cat", after: "dog"}
+    ];
+    for(let options of [{}, {concat: false}]){
+        let datatransform = create(options);
+        let edits = null;
+        datatransform.on('edits', (event) => {
+            edits = event;
+        });
+        await run(datatransform, options.concat === false ? data.split('') : data, data);
+        Assert.deepStrictEqual(edits.map((edit) => {
+            return {
+                action: edit.modifier.action,
+                offset: edit.offset,
+                line: edit.line,
+                column: edit.column,
+                before: edit.before.toString(),
+                after: edit.after.toString()
+            };
+        }), expectation);
+
+        let diff = Diff.unified(data, edits, {path: "test.html", context: 0});
+        Assert.strictEqual(diff, [
+            "--- a/test.html",
+            "+++ b/test.html",
+            "@@ -2,5 +2,4 @@",
+            "-the cat",
+            "-<!--",
+            "-x-->",
+            "-b",
+            "-é cat",
+            "\\ No newline at end of file",
+            "+the dog",
+            "+",
+            "+b<div id=\"append\"></div>",
+            "+é dog",
+            "\\ No newline at end of file",
+            ""
+        ].join("\n"));
+    }
+});
+
+it('creates a transform from a config', async function() {
+    const config = {
+        concat: false,
+        modifiers: [
+            {action: "erase", match: {hex: "0d0a"}},
+            {action: "replace", match: {regex: "v(\\d)", flags: "i"}, contents: {string: "v$1.1"}, first: true},
+            {action: "append", match: "<!-- append -->", contents: [{file: "append.html"}, {string: "!"}]},
+            {action: "eraseBetween", match: {start: "<!--", end: "-->"}}
+        ]
+    };
+    let datatransform = DataTransform.fromConfig(config, {baseDirectory: __dirname});
+    let data = "V1 v2\r\n<!-- append --><!-- x -->";
+    await run(datatransform, data.split(''), 'v1.1 v2<!-- append --><div id="append"></div>!');
+});
+
+it('rejects invalid configs with the path of the invalid entry', function() {
+    const invalid = [
+        [{modifiers: [{action: "move", match: "x"}]}, "modifiers[0].action"],
+        [{modifiers: [{action: "erase", match: {hex: "0g"}}]}, "modifiers[0].match.hex"],
+        [{modifiers: [{action: "erase", match: "x"}, {action: "replace", match: "y"}]}, "modifiers[1].contents"],
+        [{modifiers: [{action: "append", match: "x", contents: [{string: "a"}, {file: 1}]}]}, "modifiers[0].contents[1].file"],
+        [{modifiers: [{action: "erase", match: "x", frist: true}]}, "modifiers[0].frist"],
+        [{modifiers: [{action: "erase", match: {start: "x", end: {regex: "("}}}]}, "modifiers[0].match.end.regex"]
+    ];
+    for(let [config, path] of invalid){
+        Assert.throws(() => DataTransform.fromConfig(config), (error) => {
+            return error.path === path && error.message.includes(path);
+        });
+    }
+});
+
+it('applies a config from the command line', function() {
+    const bin = Path.join(__dirname, "../bin/data-transform.js");
+    const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), "data-transform-"));
+    const config_file = Path.join(directory, "config.json");
+    Fs.writeFileSync(config_file, JSON.stringify({
+        modifiers: [{action: "replace", match: "cat", contents: {string: "dog"}}]
+    }));
+    try {
+        let result = ChildProcess.spawnSync(process.execPath, [bin, "--config", config_file], {input: "a cat"});
+        Assert.strictEqual(result.status, 0);
+        Assert.strictEqual(result.stdout.toString(), "a dog");
+
+        const file = Path.join(directory, "a.txt");
+        Fs.writeFileSync(file, "the cat");
+        result = ChildProcess.spawnSync(process.execPath, [bin, "-c", config_file, "-i", file]);
+        Assert.strictEqual(result.status, 0);
+        Assert.strictEqual(Fs.readFileSync(file, "utf8"), "the dog");
+    }
+    finally {
+        Fs.rmSync(directory, {recursive: true});
+    }
+});
+
+it('keeps the mode of files rewritten in place from the command line', function() {
+    const bin = Path.join(__dirname, "../bin/data-transform.js");
+    const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), "data-transform-"));
+    const config_file = Path.join(directory, "config.json");
+    Fs.writeFileSync(config_file, JSON.stringify({
+        modifiers: [{action: "replace", match: "cat", contents: {string: "dog"}}]
+    }));
+    const strict_config_file = Path.join(directory, "strict.json");
+    Fs.writeFileSync(strict_config_file, JSON.stringify({
+        strict: true,
+        modifiers: [{action: "replace", match: "cat", contents: {file: "missing.txt"}}]
+    }));
+    const file = Path.join(directory, "a.sh");
+    Fs.writeFileSync(file, "echo cat");
+    Fs.chmodSync(file, 0o755);
+    try {
+        let result = ChildProcess.spawnSync(process.execPath, [bin, "-c", config_file, "-i", file]);
+        Assert.strictEqual(result.status, 0);
+        Assert.strictEqual(Fs.readFileSync(file, "utf8"), "echo dog");
+        if(process.platform !== "win32"){
+            Assert.strictEqual(Fs.statSync(file).mode & 0o777, 0o755);
+        }
+
+        // The temporary file is removed if the file can't be transformed
+        Fs.writeFileSync(file, "echo cat");
+        result = ChildProcess.spawnSync(process.execPath, [bin, "-c", strict_config_file, "-i", file]);
+        Assert.strictEqual(result.status, 1);
+        Assert.strictEqual(Fs.readFileSync(file, "utf8"), "echo cat");
+        Assert.deepStrictEqual(Fs.readdirSync(directory).sort(), ["a.sh", "config.json", "strict.json"]);
+
+        // A temporary file left by an earlier run is hidden from globs
+        const leftover = Path.join(directory, ".a.sh.data-transform-1");
+        Fs.writeFileSync(leftover, "echo cat");
+        result = ChildProcess.spawnSync(process.execPath, [bin, "-c", config_file, "-i", Path.join(directory, "*.sh*")]);
+        Assert.strictEqual(result.status, 0);
+        Assert.strictEqual(Fs.readFileSync(file, "utf8"), "echo dog");
+        Assert.strictEqual(Fs.readFileSync(leftover, "utf8"), "echo cat");
+    }
+    finally {
+        Fs.rmSync(directory, {recursive: true});
+    }
+});
+
+it('exits with a usage error from the command line without a config', function() {
+    const bin = Path.join(__dirname, "../bin/data-transform.js");
+    const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), "data-transform-"));
+    const file = Path.join(directory, "a.txt");
+    Fs.writeFileSync(file, "the cat");
+    try {
+        let result = ChildProcess.spawnSync(process.execPath, [bin, file]);
+        Assert.strictEqual(result.status, 2);
+        Assert.strictEqual(Fs.readFileSync(file, "utf8"), "the cat");
+    }
+    finally {
+        Fs.rmSync(directory, {recursive: true});
+    }
+});
+
+it('does not write files from the command line outside of the output directory', function() {
+    const bin = Path.join(__dirname, "../bin/data-transform.js");
+    const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), "data-transform-"));
+    const config_file = Path.join(directory, "config.json");
+    Fs.writeFileSync(config_file, JSON.stringify({
+        modifiers: [{action: "replace", match: "cat", contents: {string: "dog"}}]
+    }));
+    const cwd = Path.join(directory, "src");
+    Fs.mkdirSync(cwd);
+    Fs.writeFileSync(Path.join(cwd, "a.txt"), "the cat");
+    Fs.writeFileSync(Path.join(directory, "b.txt"), "the cat");
+    try {
+        // The output would be the input
+        let result = ChildProcess.spawnSync(process.execPath, [bin, "-c", config_file, "-o", ".", "a.txt"], {cwd});
+        Assert.strictEqual(result.status, 1);
+        Assert.ok(/a.txt would be written over itself/.test(result.stderr.toString()));
+        Assert.strictEqual(Fs.readFileSync(Path.join(cwd, "a.txt"), "utf8"), "the cat");
+
+        // The output would be outside of the output directory
+        result = ChildProcess.spawnSync(process.execPath, [bin, "-c", config_file, "-o", "out", "../b.txt"], {cwd});
+        Assert.strictEqual(result.status, 1);
+        Assert.ok(/b.txt is outside of the current directory/.test(result.stderr.toString()));
+        Assert.strictEqual(Fs.readFileSync(Path.join(directory, "b.txt"), "utf8"), "the cat");
+        Assert.ok(!Fs.existsSync(Path.join(cwd, "out")));
+
+        result = ChildProcess.spawnSync(process.execPath, [bin, "-c", config_file, "-o", "out", "a.txt"], {cwd});
+        Assert.strictEqual(result.status, 0);
+        Assert.strictEqual(Fs.readFileSync(Path.join(cwd, "out", "a.txt"), "utf8"), "the dog");
+    }
+    finally {
+        Fs.rmSync(directory, {recursive: true});
+    }
+});
+
+it('replaces template placeholders with variables', async function() {
+    const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), "data-transform-"));
+    const file = Path.join(directory, "template.html");
+    Fs.writeFileSync(file, '<script src="app.{{asset.hash}}.js"></script>');
+    let vars = {version: "1.0", asset: {hash: "abc"}};
+    const create = (options) => {
+        return new DataTransform(Object.assign({vars}, options))
+            .replace("<!-- version -->", {template: "v{{ version }} {{env}}", vars: {env: "prod"}})
+            .append("<!-- scripts -->", {template: {file}})
+            .replace("<!-- missing -->", {template: "[{{nope}}]"});
+    };
+    const data = "<!-- version --><!-- scripts --><!-- missing -->";
+    try {
+        await run(create(), data, 'v1.0 prod<!-- scripts --><script src="app.abc.js"></script>[{{nope}}]');
+        vars.version = "1.1";
+        await run(create({concat: false, missingVars: "empty"}), data.split(''), 'v1.1 prod<!-- scripts --><script src="app.abc.js"></script>[]');
+    }
+    finally {
+        Fs.rmSync(directory, {recursive: true});
+    }
+});
+
+it('errors on missing template variables', async function() {
+    let datatransform = new DataTransform({missingVars: "error", strict: true})
+        .replace("<!-- missing -->", {template: "[{{nope}}]"});
+    await Assert.rejects(run(datatransform, "a<!-- missing -->"), (error) => {
+        return error instanceof DataTransformError
+            && error.offset === 1
+            && error.cause.message === "Missing template variable nope"
+            && error.message === 'Failed to write contents of modifier 0 (replace "<!-- missing -->") at offset 1: Missing template variable nope';
+    });
+});
+
+it('warns about missing template variables', async function() {
+    let datatransform = new DataTransform({missingVars: "error", concat: false})
+        .replace("<!-- missing -->", {template: "[{{nope}}]"})
+        .append("b", {template: "{{yes}}", vars: {yes: "!"}});
+    let warnings = [];
+    datatransform.on('warning', (warning) => {
+        warnings.push(warning);
+    });
+    await run(datatransform, "a<!-- missing -->b".split(''), "ab!");
+    Assert.strictEqual(warnings.length, 1);
+    Assert.strictEqual(warnings[0].modifier, datatransform.modifiers[0]);
+    Assert.strictEqual(warnings[0].offset, 1);
+    Assert.strictEqual(warnings[0].cause.message, "Missing template variable nope");
+});
+
+it('warns about contents that cannot be written', async function() {
+    let datatransform = new DataTransform({concat: false})
+        .replace("a", {string: "1"})
+        .replace("<!-- file -->", [{file: Path.join(__dirname, "missing.html")}, {string: "!"}])
+        .append("b", {fn: () => { throw new Error("No data"); }});
+    let warnings = [];
+    datatransform.on('warning', (warning) => {
+        warnings.push(warning);
+    });
+    await run(datatransform, "a<!-- file -->b".split(''), "1!b");
+    Assert.strictEqual(warnings.length, 2);
+    Assert.ok(warnings[0] instanceof DataTransformError);
+    Assert.strictEqual(warnings[0].offset, 1);
+    Assert.strictEqual(warnings[0].cause.code, "ENOENT");
+    Assert.strictEqual(warnings[1].message, 'Failed to write contents of modifier 2 (append "b") at offset 14: No data');
+});
+
+it('errors on contents that cannot be written in strict mode', async function() {
+    let datatransform = new DataTransform({strict: true})
+        .replace("a", {string: "1"})
+        .replace("<!-- file -->", [{file: Path.join(__dirname, "missing.html")}, {string: "!"}]);
+    await Assert.rejects(run(datatransform, "a<!-- file -->b"), (error) => {
+        return error instanceof DataTransformError 
+            && error.modifier.action === "replace"
+            && error.message.startsWith('Failed to write contents of modifier 1 (replace "<!-- file -->") at offset 1');
+    });
+});
+
+it('errors on exceptions of listeners', async function() {
+    for(let options of [{}, {concat: false}]){
+        let datatransform = new DataTransform(options).compare("a");
+        datatransform.on('compare', () => {
+            throw new Error("Listener failed");
+        });
+        await Assert.rejects(run(datatransform, "a"), {message: "Listener failed"});
+    }
+});
+
+it('errors on contents that cannot be written with a strict config', async function() {
+    let datatransform = DataTransform.fromConfig({
+        strict: true,
+        modifiers: [{action: "replace", match: "a", contents: {file: "missing.html"}}]
+    }, {baseDirectory: __dirname});
+    await Assert.rejects(run(datatransform, "a"), (error) => {
+        return error instanceof DataTransformError && error.cause.code === "ENOENT";
+    });
+    Assert.throws(() => DataTransform.fromConfig({strict: 1, modifiers: []}), {
+        message: "Invalid config: strict must be a boolean"
+    });
+});
+
+it('errors on ranges and split segments that never end in strict mode', async function() {
+    let datatransform = new DataTransform({strict: true})
+        .eraseBetween("<!--", "-->", {unterminated: "error"});
+    await Assert.rejects(run(datatransform, "a<!--b-->c<!--d"), (error) => {
+        return error instanceof DataTransformError
+            && error.modifier === datatransform.modifiers[0]
+            && error.offset === 10
+            && error.message === 'Unterminated range of modifier 0 (eraseBetween "<!--" to "-->") that started at offset 10';
+    });
+
+    datatransform = new DataTransform({strict: true, concat: false})
+        .split({start: "<S>", end: "<E>"}, {unterminated: "error"});
+    await Assert.rejects(run(datatransform, "<S>a<E>b<S>c".split('')), (error) => {
+        return error instanceof DataTransformError
+            && error.offset === 8
+            && error.message === 'Unterminated split segment of modifier 0 (split "<S>" to "<E>") that started at offset 8';
+    });
+});
+
+it('warns about ranges and split segments that never end', async function() {
+    let datatransform = new DataTransform({concat: false})
+        .eraseBetween("<!--", "-->", {unterminated: "error"})
+        .split({start: "<S>", end: "<E>"}, {unterminated: "error", push: false});
+    let warnings = [];
+    datatransform.on('warning', (warning) => {
+        warnings.push(warning);
+    });
+    // The unterminated range is dropped
+    await run(datatransform, "<S>a<E>b<S>c<!--d".split(''), "<S>a<E>b<S>c");
+    Assert.deepStrictEqual(warnings.map((warning) => [warning.modifier.action, warning.offset]), [
+        ["eraseBetween", 12],
+        ["split", 8]
+    ]);
+    Assert.ok(warnings.every((warning) => warning instanceof DataTransformError));
+});
+
+it('sets no cause on errors without one', function() {
+    Assert.strictEqual(new DataTransformError("No data").cause, null);
+});
+
+it('resolves overlapping matches by order, length, or priority', async function() {
+    const create = (options) => {
+        return new DataTransform(options)
+            .erase(" ")
+            .replace("  <br>", {string: "<br>"})
+            .replace("<b>bold</b>", {string: "B"})
+            .replace("bold", {string: "strong"}, {priority: 1})
+            .compare("<br>");
+    };
+    const data = "a  <br>b <b>bold</b>";
+    // The compare match is part of the longer replace match
+    const expectations = {
+        order: {data: "a<br>bB", compares: 1},
+        longest: {data: "a<br>bB", compares: 0},
+        priority: {data: "a<br>b<b>strong</b>", compares: 1}
+    };
+    for(let overlap in expectations){
+        for(let options of [{overlap}, {overlap, concat: false}]){
+            let datatransform = create(options);
+            let compares = 0;
+            datatransform.on('compare', () => {
+                compares++;
+            });
+            let chunks = options.concat === false ? data.split('') : data;
+            await run(datatransform, chunks, expectations[overlap].data);
+            Assert.strictEqual(compares, expectations[overlap].compares);
+        }
+    }
+});
+
+it('resolves a match that loses to a nested match with a higher priority', async function() {
+    // A match that loses to a nested match with a higher priority 
+    // does not hide other matches before it
+    let datatransform = new DataTransform({overlap: "priority", concat: false})
+        .erase("[0123456789]")
+        .replace("12", {string: "twelve"})
+        .replace("5", {string: "five"}, {priority: 2});
+    await run(datatransform, "[0123456789]".split(''), "[0twelve34five6789]");
+});
+
+it('emits compare events with positions and context, and applies hooks', async function() {
+    const data = "one\n★ two <x>\nthree <x> <y>";
+    for(let options of [{}, {concat: false}]){
+        let datatransform = new DataTransform(options)
+            .compare("<x>", {window: 3})
+            .compare("<y>", async (event) => {
+                return {replace: `[${event.line}:${event.column}]`};
+            })
+            .compare("three", () => "erase");
+        let events = [];
+        datatransform.on('compare', (event) => {
+            if(event.modifier.window){
+                events.push(event);
+            }
+        });
+        let chunks = options.concat === false ? data.split('') : data;
+        await run(datatransform, chunks, "one\n★ two <x>\n <x> [3:11]");
+        Assert.deepStrictEqual(events.map((event) => {
+            return [event.offset, event.line, event.column, 
+                event.context.before.toString(), event.context.after.toString()];
+        }), [
+            [12, 2, 7, "wo ", "\nth"],
+            [22, 3, 7, "ee ", " <y"]
+        ]);
+    }
+});
+
+it('errors on invalid compare hook decisions', async function() {
+    let datatransform = new DataTransform({strict: true}).compare("a", () => "skip");
+    await Assert.rejects(run(datatransform, "ba"), (error) => {
+        return error instanceof DataTransformError
+            && error.offset === 1
+            && error.message === 'Invalid compare hook decision "skip" of modifier 0 (compare "a") at offset 1';
+    });
+
+    // The match is kept
+    datatransform = new DataTransform().compare("a", () => "skip");
+    let warnings = [];
+    datatransform.on('warning', (warning) => {
+        warnings.push(warning);
+    });
+    await run(datatransform, "ba", "ba");
+    Assert.strictEqual(warnings.length, 1);
+});
+
+it('streams buffered data that exceeds the size limit', async function() {
+    let datatransform = new DataTransform({maxBufferSize: 4, bufferLimit: "stream"})
+        .erase("<!--x-->");
+    datatransform.write("abc");
+    Assert.strictEqual(datatransform.buffered_size, 3);
+    datatransform = new DataTransform({maxBufferSize: 4, bufferLimit: "stream"})
+        .erase("<!--x-->");
+    await run(datatransform, "ab<!--x-->cd<!--x-->".split(''), "abcd");
+    Assert.strictEqual(datatransform.concat, false);
+    Assert.strictEqual(datatransform.buffered_size, 0);
+});
+
+it('errors on buffered data that exceeds the size limit', async function() {
+    let datatransform = new DataTransform({maxBufferSize: 4}).erase("<!--x-->");
+    await Assert.rejects(run(datatransform, "ab<!--x-->cd<!--x-->".split('')), (error) => {
+        return error instanceof DataTransformError
+            && error.offset === 4
+            && error.message === "Buffered data exceeds maxBufferSize of 4 bytes";
+    });
+});
+
+it('limits the size of buffered data from a config', async function() {
+    const config = {
+        maxBufferSize: 4,
+        bufferLimit: "stream",
+        modifiers: [{action: "erase", match: "<!--x-->"}]
+    };
+    let datatransform = DataTransform.fromConfig(config);
+    await run(datatransform, "ab<!--x-->cd".split(''), "abcd");
+    Assert.strictEqual(datatransform.concat, false);
+    config.bufferLimit = "drop";
+    Assert.throws(() => DataTransform.fromConfig(config), {
+        message: `Invalid config: bufferLimit must be "error" or "stream"`
+    });
+});
+
+it('acts on lines and matches anchored to lines', async function() {
+    const data = "# comment\r\nkey=1\nname=a # b\r\n#x\nlast=2";
+    const create = (options) => {
+        return new DataTransform(options)
+            .dropLine("#", {anchor: "start"})
+            .prefixLine(/=(\d)/, {fn: (context) => `${context.line}.${context.captures[0]} `})
+            .suffixLine("=", {string: ";"})
+            .replace("=", {string: " = "})
+            .erase("last", {anchor: "start"})
+            .compare("2", {anchor: "line"});
+    };
+    const expectation = "2.1 key = 1;\nname = a # b;\r\n5.2  = 2;";
+    for(let options of [{}, {concat: false}, {concat: false, overlap: "longest"}]){
+        let chunks = options.concat === false ? data.split('') : data;
+        await run(create(options), chunks, expectation);
+    }
+});
+
+it('processes and pushes chunks in whole lines', async function() {
+    let datatransform = new DataTransform({concat: false, lines: true}).erase("\r");
+    let chunks = [];
+    datatransform.on('data', (chunk) => {
+        chunks.push(chunk.toString());
+    });
+    await run(datatransform, "ab\r\ncd\r\ne".split(''), "ab\ncd\ne");
+    Assert.deepStrictEqual(chunks, ["ab\n", "cd\n", "e"]);
+});
+
+it('only acts inside or outside of scopes', async function() {
+    const data = "a b<div>c d<div>e f</div>g h</div>i j<pre> k l </pre> m";
+    const create = (options) => {
+        return new DataTransform(options)
+            .erase(" ", {scope: {start: "<pre>", end: "</pre>", outside: true}})
+            .replace(/[a-z]/, {string: "X"}, {scope: {start: "<div>", end: "</div>"}, maxLength: 1});
+    };
+    // Scopes nest, so "g h" is still in the outer div
+    const expectation = "ab<div>XX<XXX>XX</XXX>XX</div>ij<pre> k l </pre>m";
+    for(let options of [{}, {concat: false}, {concat: false, overlap: "longest"}]){
+        let chunks = options.concat === false ? data.split('') : data;
+        await run(create(options), chunks, expectation);
+    }
+});
+
+it('only counts scope markers in inserted contents with scopeInserted', async function() {
+    const config = {
+        modifiers: [
+            {action: "replace", match: "<!-- head -->", contents: {string: "<head>"}},
+            {action: "replace", match: "http:", contents: {string: "https:"}, scope: {start: "<head>", end: "</head>"}}
+        ]
+    };
+    await run(DataTransform.fromConfig(config), "http:<!-- head -->http:</head>", "http:<head>http:</head>");
+    config.scopeInserted = true;
+    await run(DataTransform.fromConfig(config), "http:<!-- head -->http:</head>".split(''), "http:<head>https:</head>");
+});
+
+it('transforms the bodies of http responses', async function() {
+    let http_transform = new HttpTransform((req, res) => {
+        return new DataTransform({concat: req.url !== "/stream"}).replace("cat", {string: "dog"});
+    });
+    const body = "a cat, a cat";
+    const handlers = {
+        "/": (res) => {
+            res.writeHead(200, {"Content-Type": "text/html; charset=utf-8", "Content-Length": body.length});
+            res.end(body);
+        },
+        "/stream": (res) => {
+            res.setHeader("Content-Type", "text/plain");
+            res.write("a c");
+            res.end("at");
+        },
+        "/gzip": (res) => {
+            let data = Zlib.gzipSync(body);
+            res.writeHead(200, {"Content-Type": "text/html", "Content-Encoding": "gzip", "Content-Length": data.length});
+            res.end(data);
+        },
+        "/br": (res) => {
+            res.setHeader("Content-Type", "application/json");
+            res.setHeader("Content-Encoding", "br");
+            res.end(Zlib.brotliCompressSync(body));
+        },
+        "/image": (res) => {
+            res.writeHead(200, {"Content-Type": "image/png", "Content-Length": body.length});
+            res.end(body);
+        }
+    };
+    // Connect style middleware for some paths, and plain wrapping for others
+    const middleware = http_transform.middleware();
+    let server = Http.createServer((req, res) => {
+        if(req.url === "/stream"){
+            http_transform.wrap(req, res);
+            handlers[req.url](res);
+        }
+        else {
+            middleware(req, res, () => handlers[req.url](res));
+        }
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const get = (path) => {
+        return new Promise((resolve, reject) => {
+            Http.get({host: "127.0.0.1", port: server.address().port, path}, (res) => {
+                let chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => resolve({headers: res.headers, data: Buffer.concat(chunks)}));
+            }).on('error', reject);
+        });
+    };
+    try {
+        let res = await get("/");
+        Assert.strictEqual(res.data.toString(), "a dog, a dog");
+        Assert.strictEqual(res.headers["content-length"], "12");
+
+        res = await get("/stream");
+        Assert.strictEqual(res.data.toString(), "a dog");
+        Assert.strictEqual(res.headers["content-length"], undefined);
+        Assert.strictEqual(res.headers["transfer-encoding"], "chunked");
+
+        res = await get("/gzip");
+        Assert.strictEqual(res.headers["content-encoding"], "gzip");
+        Assert.strictEqual(Zlib.gunzipSync(res.data).toString(), "a dog, a dog");
+        Assert.strictEqual(Number(res.headers["content-length"]), res.data.length);
+
+        res = await get("/br");
+        Assert.strictEqual(Zlib.brotliDecompressSync(res.data).toString(), "a dog, a dog");
+
+        res = await get("/image");
+        Assert.strictEqual(res.data.toString(), body);
+    }
+    finally {
+        server.close();
+    }
+});
+
+it('waits for a slow client of a transformed http response', async function() {
+    let http_transform = new HttpTransform(() => {
+        return new DataTransform({concat: false}).replace("cat", {string: "dog"});
+    });
+    const chunk = "a cat " + "-".repeat(65536);
+    const count = 200;
+    let written = 0;
+    let server = Http.createServer((req, res) => {
+        http_transform.wrap(req, res);
+        res.setHeader("Content-Type", "text/plain");
+        const write = () => {
+            while(written < count){
+                written++;
+                if(!res.write(chunk)){
+                    res.once('drain', write);
+                    return;
+                }
+            }
+            res.end();
+        };
+        write();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    try {
+        let length = await new Promise((resolve, reject) => {
+            Http.get({host: "127.0.0.1", port: server.address().port}, (res) => {
+                let length = 0;
+                res.on('data', (data) => {
+                    length += data.length;
+                });
+                res.on('end', () => resolve(length));
+                // The server must stop writing while the client reads nothing
+                res.pause();
+                setTimeout(() => {
+                    try {
+                        Assert.ok(written < count, `${written} of ${count} chunks were written`);
+                        res.resume();
+                    }
+                    catch(error){
+                        reject(error);
+                    }
+                }, 200);
+            }).on('error', reject);
+        });
+        Assert.strictEqual(written, count);
+        Assert.strictEqual(length, chunk.length * count);
+    }
+    finally {
+        server.close();
+    }
+});
+
+it('decompresses input and compresses output', async function() {
+    const data = Buffer.from("the cat sat on the mat. ".repeat(100));
+    const expectation = data.toString().replace(/cat/g, "dog");
+    const chunk = (buffer) => {
+        let chunks = [];
+        for(let i = 0; i < buffer.length; i += 7){
+            chunks.push(buffer.slice(i, i + 7));
+        }
+        return chunks;
+    };
+    const compressed = {
+        gzip: Zlib.gzipSync(data),
+        deflate: Zlib.deflateSync(data),
+        br: Zlib.brotliCompressSync(data)
+    };
+    const decompress = {
+        gzip: Zlib.gunzipSync,
+        deflate: Zlib.inflateSync,
+        br: Zlib.brotliDecompressSync
+    };
+    for(let coding in compressed){
+        for(let options of [{decompress: coding}, {decompress: coding, concat: false}]){
+            let datatransform = new DataTransform(options).replace("cat", {string: "dog"});
+            await run(datatransform, chunk(compressed[coding]), expectation);
+        }
+        let datatransform = new DataTransform({decompress: coding, compress: "auto", concat: false})
+            .replace("cat", {string: "dog"});
+        let output = [];
+        datatransform.on('data', (chunk) => {
+            output.push(chunk);
+        });
+        await run(datatransform, chunk(compressed[coding]));
+        Assert.strictEqual(decompress[coding](Buffer.concat(output)).toString(), expectation);
+        Assert.strictEqual(datatransform.stats().bytesIn, data.length);
+    }
+
+    // Gzip and deflate are detected, and other data passes through
+    for(let coding of ["gzip", "deflate"]){
+        let datatransform = new DataTransform({decompress: "auto"}).replace("cat", {string: "dog"});
+        await run(datatransform, chunk(compressed[coding]), expectation);
+    }
+    let datatransform = new DataTransform({decompress: "auto", compress: "auto"}).replace("cat", {string: "dog"});
+    await run(datatransform, chunk(data), expectation);
+
+    // Corrupt input is a stream error
+    let corrupt = Buffer.from(compressed.gzip);
+    corrupt[20] ^= 0xff;
+    datatransform = new DataTransform({decompress: "auto", concat: false});
+    await Assert.rejects(run(datatransform, chunk(corrupt)), {code: "Z_DATA_ERROR"});
+    datatransform = new DataTransform({decompress: "gzip"});
+    await Assert.rejects(run(datatransform, data), {code: "Z_DATA_ERROR"});
+    Assert.throws(() => new DataTransform({compress: "zip"}), {message: "Invalid compress option zip"});
+});
+
+it('passes text that starts like deflate data through when detecting compression', async function() {
+    // "x^", "HK", and "(S" are valid zlib headers
+    for(let data of ["x^ hello world", "HK cat", "(S cat"]){
+        let expectation = data.replace("cat", "dog");
+        for(let options of [{decompress: "auto"}, {decompress: "auto", compress: "auto", concat: false}]){
+            let datatransform = new DataTransform(options).replace("cat", {string: "dog"});
+            await run(datatransform, options.concat === false ? data.split('') : data, expectation);
+        }
+    }
+});
+
+it('waits for a slow reader when decompressing', async function() {
+    // Decompressed data is not all pushed while nothing is read
+    const data = Buffer.alloc(4 * 1024 * 1024, "a");
+    let datatransform = new DataTransform({concat: false, decompress: "gzip"}).replace("b", {string: "c"});
+    datatransform.end(Zlib.gzipSync(data));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    Assert.ok(datatransform.readableLength < data.length);
+    let output = [];
+    datatransform.on('data', (chunk) => output.push(chunk));
+    await new Promise((resolve) => datatransform.on('end', resolve));
+    Assert.ok(Buffer.concat(output).equals(data));
+});
+
+it('waits for a slow reader when compressing', async function() {
+    // Stream contents are not all read into the encoder while nothing is
+    // read, if they do not compress to nothing
+    let pieces = [];
+    for(let i = 0; i < 64; i++){
+        pieces.push(Crypto.randomBytes(65536));
+    }
+    let read = 0;
+    const stream = function*(){
+        for(let i = 0; i < pieces.length; i++){
+            read++;
+            yield pieces[i];
+        }
+    };
+    let datatransform = new DataTransform({concat: false, compress: "gzip"})
+        .replace("*", {stream: () => Readable.from(stream())});
+    datatransform.end("a*b");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    Assert.ok(read < pieces.length, `${read} of ${pieces.length} pieces were read`);
+    let output = [];
+    datatransform.on('data', (chunk) => output.push(chunk));
+    await new Promise((resolve) => datatransform.on('end', resolve));
+    let expectation = Buffer.concat([Buffer.from("a"), ...pieces, Buffer.from("b")]);
+    Assert.ok(Zlib.gunzipSync(Buffer.concat(output)).equals(expectation));
+});
+
+it('decompresses and compresses from a config', async function() {
+    const config = {
+        decompress: "auto",
+        compress: "auto",
+        modifiers: [{action: "replace", match: "cat", contents: {string: "dog"}}]
+    };
+    let output = await new Promise((resolve, reject) => {
+        let datatransform = DataTransform.fromConfig(config);
+        let chunks = [];
+        datatransform.on('data', (chunk) => chunks.push(chunk));
+        datatransform.on('end', () => resolve(Buffer.concat(chunks)));
+        datatransform.on('error', reject);
+        datatransform.end(Zlib.deflateSync("a cat"));
+    });
+    Assert.strictEqual(Zlib.inflateSync(output).toString(), "a dog");
+    config.compress = "zip";
+    Assert.throws(() => DataTransform.fromConfig(config), {
+        message: `Invalid config: compress must be "gzip", "deflate", "br", or "auto"`
+    });
+});
+
+it('transforms the fields of records', async function() {
+    const data = '{"level":"info","user":{"email":"a@b.c","password":"x"},"message":"token=abc ok","n":1}\n' +
+        '{"level":"debug","message":"x"}\r\n\n' +
+        '{"level":"warn","message":"token=xyz","n":2}';
+    const expectation = '{"level":"info","user":{"email":"a@example.com"},"message":"token=*** ok!","n":"#1"}\n' +
+        '{"level":"warn","message":"token=***!","n":"#2"}\n';
+    const create = (options) => {
+        return new RecordTransform(options)
+            .drop("level", "debug")
+            .replace("user.email", {fn: (context) => context.value.replace(/@.*/, "@example.com")})
+            .erase("user.password")
+            .replace("message", {string: "token=***"}, {match: /token=\w+/})
+            .append("message", {string: "!"})
+            .prepend("n", {string: "#"});
+    };
+    let recordtransform = create();
+    await run(recordtransform, data.split(''), expectation);
+    Assert.strictEqual(recordtransform.record_count, 3);
+    Assert.strictEqual(recordtransform.dropped_count, 1);
+
+    // Objects in and out
+    recordtransform = create({objectMode: true});
+    let records = [];
+    recordtransform.on('data', (record) => {
+        records.push(record);
+    });
+    let record = {user: {email: "a@b.c", password: "x"}, message: "token=1"};
+    recordtransform.write({level: "debug"});
+    recordtransform.end(record);
+    await new Promise((resolve) => recordtransform.on('end', resolve));
+    Assert.deepStrictEqual(records, [{user: {email: "a@example.com"}, message: "token=***!"}]);
+    // Records written as objects are not changed
+    Assert.deepStrictEqual(record, {user: {email: "a@b.c", password: "x"}, message: "token=1"});
+
+    // Erased array elements are removed, and numbers and booleans become strings
+    recordtransform = new RecordTransform()
+        .erase("items.1")
+        .append("n", {string: "!"})
+        .append("ok", {string: "!"});
+    await run(recordtransform, '{"items":["a","b","c"],"n":5,"ok":true}\n', '{"items":["a","c"],"n":"5!","ok":"true!"}\n');
+
+    // NDJSON data has byte backpressure
+    recordtransform = create();
+    Assert.strictEqual(recordtransform.writableObjectMode, false);
+    Assert.strictEqual(recordtransform.writableHighWaterMark, 16384);
+});
+
+it('errors on records that are not valid JSON', async function() {
+    let recordtransform = new RecordTransform();
+    await Assert.rejects(run(recordtransform, '{"a":1}\n{a}\n'), (error) => {
+        return error instanceof DataTransformError 
+            && error.offset === 8 
+            && error.message.startsWith("Invalid JSON on line 2");
+    });
+});
+
+it('clones transforms and changes modifiers mid-stream', async function() {
+    // Writes each chunk after making the change for it
+    const write = (datatransform, chunks, changes) => {
+        let output = [];
+        datatransform.on('data', (chunk) => {
+            output.push(chunk);
+        });
+        return new Promise(async (resolve, reject) => {
+            datatransform.on('error', reject);
+            datatransform.on('end', () => {
+                resolve(Buffer.concat(output).toString());
+            });
+            for(let i = 0; i < chunks.length; i++){
+                if(changes[i]){
+                    changes[i]();
+                }
+                await new Promise((resolve) => datatransform.write(chunks[i], resolve));
+            }
+            datatransform.end();
+        });
+    };
+    const chunks = ["a cat <x", "y> ca", "t cat"];
+    const template = new DataTransform({concat: false})
+        .replace("cat", {string: "dog"})
+        .eraseBetween("<", ">");
+    const create = template.factory();
+    Assert.strictEqual(await write(create(), chunks, {}), "a dog  dog dog");
+
+    // A partial match is completed by the modifiers of the next chunk,
+    // and a removed range is dropped
+    let datatransform = create();
+    let modifier = new Modifier("replace", "cat", {string: "cow"});
+    let output = await write(datatransform, chunks, {
+        1: () => {
+            datatransform.removeModifier(1).insertModifier(modifier, 0).disable(modifier);
+        },
+        2: () => {
+            datatransform.enable(modifier);
+        }
+    });
+    Assert.strictEqual(output, "a dog y> cow cow");
+    Assert.strictEqual(template.modifiers.length, 2);
+    Assert.deepStrictEqual(datatransform.stats().modifiers.map((stats) => stats.matches), [2, 1]);
+
+    datatransform = new DataTransform({concat: false}).eraseBetween("<", ">", {unterminated: "keep"});
+    output = await write(datatransform, ["a <x", "y> z"], {1: () => datatransform.removeModifier(0)});
+    Assert.strictEqual(output, "a <xy> z");
+    Assert.throws(() => datatransform.disable(0), {message: "The modifier is not one of this transform"});
+    Assert.ok(Object.isFrozen(modifier.contents));
+});
+
+it('shares subclassed modifiers between clones', async function() {
+    class LabelledModifier extends Modifier {
+        constructor(label, ...args){
+            super(...args);
+            this.label = label;
+        }
+    }
+    let modifier = new LabelledModifier("cat", "replace", "cat", {string: "dog"});
+    Assert.strictEqual(modifier.label, "cat");
+    await run(new DataTransform().modify(modifier).clone(), "a cat", "a dog");
+
+    let files = [];
+    modifier.directoryToFiles(Path.join(__dirname, "directory"), files);
+    Assert.deepStrictEqual(files.map((content) => Path.basename(content.file)), ["a.html", "b.html"]);
+});
+
+it('includes files recursively and detects include cycles', async function() {
+    const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), "data-transform-"));
+    Fs.mkdirSync(Path.join(directory, "parts"));
+    Fs.writeFileSync(Path.join(directory, "a.html"), 'A[<!--#include file="parts/b.html"-->]{{v}}');
+    Fs.writeFileSync(Path.join(directory, "parts/b.html"), 'B(<!--#include file="parts/c.html" -->)');
+    Fs.writeFileSync(Path.join(directory, "parts/c.html"), 'C');
+    Fs.writeFileSync(Path.join(directory, "x.html"), 'X<!--#include file="y.html"-->');
+    Fs.writeFileSync(Path.join(directory, "y.html"), 'Y<!--#include file="x.html"-->');
+    try {
+        for(let options of [{}, {concat: false}, {cache: true}]){
+            let datatransform = new DataTransform(Object.assign({baseDirectory: directory}, options))
+                .include()
+                .replace("{{v}}", {string: "1"});
+            await run(datatransform, '<!--#include file="a.html"-->{{v}}'.split(''), "A[B(C)]11");
+        }
+
+        // Files of other modifiers are included with the include option
+        let datatransform = new DataTransform({include: true, baseDirectory: directory})
+            .replace("<!--a-->", {file: Path.join(directory, "a.html")})
+            .include();
+        await run(datatransform, "<!--a-->", "A[B(C)]{{v}}");
+
+        let warnings = [];
+        datatransform = new DataTransform({baseDirectory: directory, maxIncludeDepth: 2}).include();
+        datatransform.on('warning', (warning) => {
+            warnings.push(warning.message.split(": ").slice(1).join(": "));
+        });
+        await run(datatransform, '<!--#include file="x.html"-->|<!--#include file="a.html"-->|<!--#include file="../a.html"-->', "XY|A[B()]{{v}}|");
+        Assert.deepStrictEqual(warnings, [
+            "Include cycle: x.html -> y.html -> x.html",
+            `Includes are nested deeper than 2: a.html -> ${Path.join("parts", "b.html")} -> ${Path.join("parts", "c.html")}`,
+            "Include path ../a.html is outside of the base directory"
+        ]);
+
+        // A maxIncludeDepth of 0 does not include files
+        warnings = [];
+        datatransform = new DataTransform({baseDirectory: directory, maxIncludeDepth: 0}).include();
+        datatransform.on('warning', (warning) => {
+            warnings.push(warning.message.split(": ").slice(1).join(": "));
+        });
+        await run(datatransform, '<!--#include file="a.html"-->', "");
+        Assert.deepStrictEqual(warnings, ["Includes are nested deeper than 0: a.html"]);
+        Assert.throws(() => new DataTransform({maxIncludeDepth: -1}), {message: "Invalid maxIncludeDepth option -1"});
+        Assert.throws(() => new DataTransform({maxIncludeDepth: 1.5}), {message: "Invalid maxIncludeDepth option 1.5"});
+
+        datatransform = DataTransform.fromConfig({
+            modifiers: [{action: "include"}]
+        }, {baseDirectory: directory});
+        await run(datatransform, '<!--#include file="a.html"-->', "A[B(C)]{{v}}");
+        datatransform = DataTransform.fromConfig({
+            maxIncludeDepth: 0,
+            modifiers: [{action: "include"}]
+        }, {baseDirectory: directory});
+        Assert.strictEqual(datatransform.max_include_depth, 0);
+        warnings = [];
+        datatransform.on('warning', (warning) => {
+            warnings.push(warning.message.split(": ").slice(1).join(": "));
+        });
+        await run(datatransform, '<!--#include file="a.html"-->', "");
+        Assert.deepStrictEqual(warnings, ["Includes are nested deeper than 0: a.html"]);
+        Assert.throws(() => DataTransform.fromConfig({maxIncludeDepth: -1, modifiers: []}), {
+            message: "Invalid config: maxIncludeDepth must be a non-negative integer"
+        });
+        datatransform = new DataTransform({baseDirectory: directory, strict: true}).include();
+        await Assert.rejects(run(datatransform, '<!--#include file="x.html"-->'), {
+            message: /Include cycle: x.html -> y.html -> x.html$/
+        });
+    }
+    finally {
+        Fs.rmSync(directory, {recursive: true});
+    }
+});
+
+it('inserts and erases at positions of the stream', async function() {
+    const data = "0123456789abcdef";
+    const create = (options) => {
+        return new DataTransform(options)
+            .header({string: "<h>"})
+            .footer({string: "<f>"})
+            .insertAt(4, {string: "[4]"})
+            .eraseRange(6, 4)
+            .insertAt(8, {string: "[8]"})
+            .insertAt(100, {string: "[end]"})
+            .replace("7", {string: "seven"})
+            .replace("b", {string: "B"});
+    };
+    // Offsets are in the original data, however it is chunked, and 
+    // nothing is inserted or matched in an erased range
+    const expectation = "<h>0123[4]45aBcdef[end]<f>";
+    await run(create(), data, expectation);
+    await run(create({concat: false}), data.split(''), expectation);
+    await run(create({concat: false}), [data.slice(0, 7), data.slice(7)], expectation);
+    await run(create({concat: false}), [], "<h>[4][8][end]<f>");
+});
+
+it('inserts and erases at positions from a config', async function() {
+    let datatransform = DataTransform.fromConfig({
+        modifiers: [
+            {action: "eraseRange", offset: 0, length: 3},
+            {action: "header", contents: {string: "#"}}
+        ]
+    });
+    await run(datatransform, Buffer.from("\ufeffbom", "utf8"), "#bom");
+});
+
+it('rejects invalid positional modifiers', function() {
+    Assert.throws(() => new Modifier("insertAt", null, {string: "x"}, {offset: -1}), {
+        message: "Invalid offset option -1"
+    });
+    Assert.throws(() => DataTransform.fromConfig({modifiers: [{action: "footer", match: "x", contents: {string: "x"}}]}), {
+        message: "Invalid config: modifiers[0].match is not used by the footer action"
+    });
+});
+
 it('append, erase, prepend, and replace text in a file', function() {
     let expectation = `<div><!-- append --><div id="append"></div><div>This is to test the directory option</div><div id="prepend"></div><!-- prepend --></div><div>Anything at all..<!--compare--></div>`;
     // The highwatermark of 1 proves the transform can work 
     // when reading chunks that are just 1 character in length
     let readable = Fs.createReadStream(test_file, {highWaterMark:1});
     let writable = Fs.createWriteStream(result_file);
+    // The test file has LF line ends, and CRLF line ends when checked out
+    // with autocrlf, so both are erased to match the expectation
     let datatransform = new DataTransform({concat: false})
         .erase(' ')
         .erase(Buffer.from([0x0d, 0x0a]))
+        .erase('\n')
         .erase('<!-- erase -->')
         .append('<!-- append -->', [
             {file: append_file},